@@ -35,6 +35,30 @@ async function main() {
     });
   }
 
+  // Default photoshoot packages (the types that used to be hard-coded)
+  // Prices start at 0 - set the real price list from the admin panel
+  const defaultPackages = [
+    { name: 'children', durationMinutes: 30, maxPeople: null },
+    { name: 'family', durationMinutes: 45, maxPeople: null },
+    { name: 'couple', durationMinutes: 30, maxPeople: 2 },
+    { name: 'maternity', durationMinutes: 45, maxPeople: null },
+  ];
+
+  for (const pkg of defaultPackages) {
+    const existingPackage = await prisma.package.findUnique({
+      where: { name: pkg.name },
+    });
+
+    if (existingPackage) {
+      console.log(`ℹ️  Package "${pkg.name}" already exists, skipping creation...`);
+    } else {
+      await prisma.package.create({
+        data: { ...pkg, price: '0' },
+      });
+      console.log(`✅ Package "${pkg.name}" created`);
+    }
+  }
+
   console.log('✅ Seed completed successfully!');
 }
 
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+
+/**
+ * Link existing bookings to packages
+ * Bookings made before packages existed only have a photoshootType. They are
+ * matched to the package with the same name (case-insensitive), which lets
+ * package renames reach them and updates accept them again. Bookings without
+ * a price get the package's current price, so their balance can be computed.
+ * Packages still priced at 0 (as seeded) are linked but no price is copied;
+ * set the real price list and run this again.
+ * Safe to run more than once - only unlinked or unpriced bookings are changed.
+ *
+ * Usage: npm run packages:backfill
+ */
+
+async function main() {
+  console.log('🌱 Linking bookings to packages...');
+
+  const packages = await prisma.package.findMany({
+    orderBy: { name: 'asc' },
+  });
+
+  let linkedCount = 0;
+  let pricedCount = 0;
+
+  for (const pkg of packages) {
+    const matchesPackage = { photoshootType: { equals: pkg.name, mode: 'insensitive' } };
+
+    const { count: linked } = await prisma.booking.updateMany({
+      where: { packageId: null, ...matchesPackage },
+      data: { packageId: pkg.id, photoshootType: pkg.name, version: { increment: 1 } },
+    });
+    linkedCount += linked;
+
+    if (pkg.price.isZero()) {
+      const unpriced = await prisma.booking.count({
+        where: { packageId: pkg.id, price: null },
+      });
+      if (unpriced > 0) {
+        console.log(`⚠️  Package "${pkg.name}" has no price yet, ${unpriced} booking(s) left without a price`);
+      }
+      continue;
+    }
+
+    const { count: priced } = await prisma.booking.updateMany({
+      where: { packageId: pkg.id, price: null },
+      data: { price: pkg.price, version: { increment: 1 } },
+    });
+    pricedCount += priced;
+  }
+
+  const unmatched = await prisma.booking.groupBy({
+    by: ['photoshootType'],
+    where: { packageId: null },
+    _count: { _all: true },
+  });
+  for (const group of unmatched) {
+    console.log(`⚠️  No package named "${group.photoshootType}" (${group._count._all} booking(s)) - create it and run this again`);
+  }
+
+  console.log(`✅ Linked ${linkedCount} booking(s) to a package, priced ${pricedCount} booking(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Package backfill failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
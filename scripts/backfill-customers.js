@@ -0,0 +1,77 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+const { normalizePhoneNumber } = require('../src/utils/customer');
+
+/**
+ * Backfill customers from existing bookings
+ * Groups bookings without a customer by normalized phone number, creates
+ * (or reuses) one customer per number and links the bookings to it.
+ * Safe to run more than once - only unlinked bookings are processed.
+ */
+
+async function main() {
+  console.log('🌱 Starting customer backfill...');
+
+  const bookings = await prisma.booking.findMany({
+    where: { customerId: null },
+    select: {
+      id: true,
+      customerName: true,
+      phoneNumber: true,
+      emergencyPhoneNumber: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  console.log(`ℹ️  Found ${bookings.length} booking(s) without a customer`);
+
+  // Group bookings by normalized phone number
+  const groups = new Map();
+  for (const booking of bookings) {
+    const phone = normalizePhoneNumber(booking.phoneNumber);
+    if (!phone) continue;
+    if (!groups.has(phone)) groups.set(phone, []);
+    groups.get(phone).push(booking);
+  }
+
+  let createdCount = 0;
+  let linkedCount = 0;
+
+  for (const [phone, group] of groups) {
+    // Most recent booking has the most up-to-date details
+    const latest = group[group.length - 1];
+    const emergencyPhone = [...group].reverse().find((b) => b.emergencyPhoneNumber)?.emergencyPhoneNumber;
+
+    const existing = await prisma.customer.findUnique({
+      where: { phoneNumber: phone },
+    });
+
+    const customer = existing || await prisma.customer.create({
+      data: {
+        name: latest.customerName.trim(),
+        phoneNumber: phone,
+        emergencyPhoneNumber: emergencyPhone ? normalizePhoneNumber(emergencyPhone) : null,
+      },
+    });
+
+    if (!existing) createdCount++;
+
+    const { count } = await prisma.booking.updateMany({
+      where: { id: { in: group.map((b) => b.id) } },
+      data: { customerId: customer.id, version: { increment: 1 } },
+    });
+    linkedCount += count;
+  }
+
+  console.log(`✅ Created ${createdCount} customer(s), linked ${linkedCount} booking(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Customer backfill failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,96 @@
+require('dotenv').config();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../src/config/database');
+
+/**
+ * Renumber bookings that share a studio number
+ * Uniqueness used to be enforced by the application only, so an existing
+ * database can hold duplicates that the (locationId, studioNumberScope,
+ * studioNumber) unique constraint rejects. The earliest booking keeps its
+ * number; the others get the next numbers after the highest one in use.
+ * Raw SQL on purpose: it has to run before the migration adds the scope column.
+ * Run before `npm run prisma:migrate` (or `prisma db push`) on an existing
+ * database. Safe to run more than once.
+ *
+ * Usage: npm run studio-numbers:dedupe -- [--dry-run]
+ */
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  console.log(`🔍 Looking for duplicate studio numbers${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  // Once the scope column exists numbers only have to be unique within their scope
+  const [{ hasScope }] = await prisma.$queryRaw`
+    SELECT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema()
+        AND table_name = 'bookings'
+        AND column_name = 'studioNumberScope'
+    ) AS "hasScope"
+  `;
+  const scopeColumn = hasScope ? Prisma.sql`"studioNumberScope"` : Prisma.sql`'ALL'`;
+
+  const bookings = await prisma.$queryRaw`
+    SELECT "id", "customerName", "locationId", "studioNumber", ${scopeColumn} AS "scope"
+    FROM "bookings"
+    WHERE "studioNumber" IS NOT NULL AND "locationId" IS NOT NULL
+    ORDER BY "createdAt", "id"
+  `;
+
+  const groups = new Map();
+  for (const booking of bookings) {
+    const key = `${booking.locationId}|${booking.scope}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(booking);
+  }
+
+  const changes = [];
+  for (const group of groups.values()) {
+    let highest = Math.max(...group.map((b) => b.studioNumber));
+    const seen = new Set();
+
+    for (const booking of group) {
+      if (seen.has(booking.studioNumber)) {
+        highest++;
+        changes.push({ booking, studioNumber: highest });
+      } else {
+        seen.add(booking.studioNumber);
+      }
+    }
+  }
+
+  if (changes.length === 0) {
+    console.log('✅ No duplicate studio numbers found');
+    return;
+  }
+
+  for (const { booking, studioNumber } of changes) {
+    console.log(
+      `  ${booking.customerName} (${booking.id}), location ${booking.locationId}, scope ${booking.scope}: ` +
+      `${booking.studioNumber} -> ${studioNumber}`
+    );
+  }
+
+  if (DRY_RUN) {
+    console.log(`\nℹ️  ${changes.length} booking(s) would be renumbered`);
+    return;
+  }
+
+  await prisma.$transaction(
+    changes.map(({ booking, studioNumber }) => prisma.$executeRaw`
+      UPDATE "bookings" SET "studioNumber" = ${studioNumber}, "updatedAt" = NOW() WHERE "id" = ${booking.id}
+    `)
+  );
+
+  console.log(`\n✅ Renumbered ${changes.length} booking(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Studio number dedupe failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const { STORAGE_DRIVERS, createStorageDriver } = require('../src/utils/storage');
+
+/**
+ * Copy stored files (signatures, consent PDFs) from one storage backend to another
+ * Both backends are configured from the same environment variables the app uses
+ * (STORAGE_DIR for local, S3_* for s3). Files already present in the target are
+ * skipped unless --overwrite is given. Source files are never deleted, so switch
+ * STORAGE_DRIVER only after the copy has finished.
+ *
+ * Usage: npm run storage:migrate -- <from> <to> [--dry-run] [--overwrite]
+ * Example: npm run storage:migrate -- local s3
+ */
+
+const args = process.argv.slice(2);
+const [from, to] = args.filter((arg) => !arg.startsWith('--'));
+const DRY_RUN = args.includes('--dry-run');
+const OVERWRITE = args.includes('--overwrite');
+
+async function main() {
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error('Usage: npm run storage:migrate -- <from> <to> [--dry-run] [--overwrite]');
+    console.error(`<from> and <to> must be different drivers: ${STORAGE_DRIVERS.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = createStorageDriver(from);
+  const target = createStorageDriver(to);
+
+  console.log(`📦 Copying files from ${from} to ${to}${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  const keys = await source.list('');
+  console.log(`ℹ️  Found ${keys.length} file(s) in ${from}`);
+
+  let copiedCount = 0;
+  let skippedCount = 0;
+  let failedCount = 0;
+
+  for (const key of keys) {
+    try {
+      if (!OVERWRITE && await target.exists(key)) {
+        skippedCount++;
+        continue;
+      }
+
+      if (!DRY_RUN) {
+        const stream = await source.createReadStream(key);
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+        }
+        await target.save(key, Buffer.concat(chunks));
+      }
+      copiedCount++;
+    } catch (error) {
+      failedCount++;
+      console.error(`✗ Failed to copy ${key}:`, error.message);
+    }
+  }
+
+  console.log(`✅ ${DRY_RUN ? 'Would copy' : 'Copied'} ${copiedCount} file(s), skipped ${skippedCount} already in ${to}, ${failedCount} failed`);
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Storage migration failed:', e);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,106 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+const { deleteFile } = require('../src/utils/fileStorage');
+const { recordBookingEvent, anonymizeBookingHistory } = require('../src/utils/bookingHistory');
+
+/**
+ * Retention purge for soft-deleted bookings
+ * Permanently removes bookings deleted more than the retention period ago,
+ * together with their signature image and consent PDF. Payments are financial
+ * records and are kept (they hold no customer details, only the booking ID),
+ * as are the audit trail and studio number history. The customer's personal
+ * data is scrubbed from the audit trail and a PURGED event is recorded.
+ *
+ * Usage: npm run bookings:purge -- [retentionDays]
+ * Retention defaults to BOOKING_RETENTION_DAYS, or 30 days if unset.
+ * Meant to be run on a schedule (e.g. a daily cron job).
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// An explicit 0 purges every deleted booking, so only fall back when unset
+const parseDays = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? null : days;
+};
+
+const RETENTION_DAYS = parseDays(process.argv[2])
+  ?? parseDays(process.env.BOOKING_RETENTION_DAYS)
+  ?? DEFAULT_RETENTION_DAYS;
+
+async function main() {
+  if (RETENTION_DAYS < 0) {
+    console.error('❌ Retention days cannot be negative');
+    process.exitCode = 1;
+    return;
+  }
+
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  console.log(`🧹 Purging bookings deleted before ${cutoff.toISOString()} (${RETENTION_DAYS} day retention)...`);
+
+  const bookings = await prisma.booking.findMany({
+    where: { deletedAt: { lt: cutoff } },
+    select: {
+      id: true,
+      deletedAt: true,
+      deletedById: true,
+      deletionReason: true,
+      signaturePath: true,
+      consentPdfPath: true,
+    },
+    orderBy: { deletedAt: 'asc' },
+  });
+
+  console.log(`ℹ️  Found ${bookings.length} booking(s) to purge`);
+
+  let purgedCount = 0;
+  let deletedFileCount = 0;
+
+  for (const booking of bookings) {
+    await prisma.$transaction(async (tx) => {
+      await tx.booking.delete({
+        where: { id: booking.id },
+      });
+
+      await anonymizeBookingHistory(tx, booking.id);
+
+      // The file paths are personal data too, so they stay out of the PURGED record
+      const { signaturePath, consentPdfPath, ...record } = booking;
+      await recordBookingEvent(tx, {
+        bookingId: booking.id,
+        type: 'PURGED',
+        actor: null,
+        before: record,
+        note: `Purged after ${RETENTION_DAYS} day retention`,
+      });
+    });
+    purgedCount++;
+
+    // A merged booking may have handed its signature to the booking it was merged into
+    if (booking.signaturePath) {
+      const stillReferenced = await prisma.booking.count({
+        where: { signaturePath: booking.signaturePath },
+      });
+      if (stillReferenced === 0) {
+        await deleteFile(booking.signaturePath);
+        deletedFileCount++;
+      }
+    }
+
+    if (booking.consentPdfPath) {
+      await deleteFile(booking.consentPdfPath);
+      deletedFileCount++;
+    }
+  }
+
+  console.log(`✅ Purged ${purgedCount} booking(s), removed ${deletedFileCount} signature and consent file(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Booking purge failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const prisma = require('../src/config/database');
+const { allocateStudioNumberForBooking } = require('../src/utils/studioNumber');
+
+/**
+ * Stress test for studio number allocation
+ * Creates a temporary location with signed bookings, allocates studio numbers
+ * for all of them in parallel and checks that every number is unique and
+ * the sequence has no gaps. All test data is removed afterwards.
+ *
+ * Usage: npm run stress:studio-numbers -- [bookingCount]
+ * Run against a development database only.
+ */
+
+const BOOKING_COUNT = parseInt(process.argv[2]) || 20;
+
+async function main() {
+  console.log(`🧪 Allocating studio numbers for ${BOOKING_COUNT} bookings in parallel...\n`);
+
+  const location = await prisma.location.create({
+    data: {
+      name: `Stress Test ${Date.now()}`,
+      code: 'STR',
+      salesPersonIds: [],
+      dates: [],
+    },
+  });
+
+  const bookingIds = Array.from({ length: BOOKING_COUNT }, () => crypto.randomUUID());
+  const actor = { id: null, role: 'ADMIN' };
+
+  try {
+    await prisma.booking.createMany({
+      data: bookingIds.map((id, index) => ({
+        id,
+        customerName: `Stress Test ${index + 1}`,
+        phoneNumber: String(10000000000 + index),
+        photoshootType: 'children',
+        paymentMethod: 'NOT_PAID',
+        status: 'BOOKED',
+        consentFormSigned: true,
+        locationId: location.id,
+        salesPersonId: crypto.randomUUID(),
+      })),
+    });
+
+    const results = await Promise.allSettled(
+      bookingIds.map((id) => allocateStudioNumberForBooking(id, actor))
+    );
+
+    const failures = results.filter((r) => r.status === 'rejected');
+    failures.forEach((f) => console.error('✗ Allocation failed:', f.reason.message));
+
+    const bookings = await prisma.booking.findMany({
+      where: { locationId: location.id },
+      select: { studioNumber: true },
+    });
+
+    const numbers = bookings.map((b) => b.studioNumber).filter((n) => n !== null).sort((a, b) => a - b);
+    const duplicates = numbers.filter((n, i) => i > 0 && numbers[i - 1] === n);
+    const expected = Array.from({ length: numbers.length }, (_, i) => i + 1);
+    const hasGaps = numbers.some((n, i) => n !== expected[i]);
+
+    console.log(`✓ Allocated: ${numbers.length}/${BOOKING_COUNT}`);
+    console.log(`${duplicates.length === 0 ? '✓' : '✗'} Duplicate numbers: ${duplicates.length === 0 ? 'none' : [...new Set(duplicates)].join(', ')}`);
+    console.log(`${hasGaps ? '✗' : '✓'} Sequence without gaps: ${hasGaps ? 'no' : 'yes'}`);
+
+    if (failures.length > 0 || duplicates.length > 0 || hasGaps) {
+      process.exitCode = 1;
+    }
+  } finally {
+    // Clean up test data
+    await prisma.bookingEvent.deleteMany({ where: { bookingId: { in: bookingIds } } });
+    await prisma.studioNumberAssignment.deleteMany({ where: { locationId: location.id } });
+    await prisma.booking.deleteMany({ where: { locationId: location.id } });
+    await prisma.location.delete({ where: { id: location.id } });
+  }
+
+  console.log(process.exitCode ? '\n❌ Stress test failed' : '\n✅ Stress test passed');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Stress test error:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
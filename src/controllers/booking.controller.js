@@ -1,6 +1,353 @@
 const { validationResult } = require('express-validator');
 const prisma = require('../config/database');
 const { successResponse, errorResponse } = require('../utils/response');
+const { normalizeStatus, validateStatusTransition, getAllowedTransitions } = require('../utils/bookingStatus');
+const { recordBookingEvent, getBookingHistory } = require('../utils/bookingHistory');
+const { isSlotChange, assertSlotAvailable } = require('../utils/slotCapacity');
+const { SCHEDULE_FIELDS, validateBookingSchedule, getChangedScheduleFields } = require('../utils/bookingSchedule');
+const { findOrCreateCustomer } = require('../utils/customer');
+const { findPossibleDuplicates } = require('../utils/duplicateBookings');
+const { saveBuffer, readFile, deleteFile, detectImageType } = require('../utils/fileStorage');
+const { processSignatureImage, hashSignature } = require('../utils/signatureImage');
+const { createSignedUrl } = require('../utils/signedUrl');
+const { findPackageByName } = require('../utils/packages');
+const {
+  LOCATION_SCOPE,
+  closeStudioNumberAssignment,
+  syncStudioNumberScope,
+  allocateStudioNumberForBooking,
+  releaseStudioNumberForBooking,
+  reassignStudioNumberForBooking,
+} = require('../utils/studioNumber');
+const { DEFAULT_CURRENCY, getPaidAmounts, buildBalance, withBalances, syncPaymentMethod } = require('../utils/payments');
+const {
+  getBookingSort,
+  buildSqlWhere,
+  findBookingPage,
+  enrichBookings,
+  countBookingsByStatus,
+} = require('../utils/bookingList');
+const { createExportWriter } = require('../utils/bookingExport');
+const { createBookingValidation } = require('../utils/bookingValidation');
+const { parseCsv } = require('../utils/csv');
+const { emitBookingEvent } = require('../utils/bookingEvents');
+const { getCurrentConsentFormVersion } = require('../utils/consentForm');
+const { renderConsentPdf } = require('../utils/consentPdf');
+
+// Bookings read per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Largest CSV import accepted in one request
+const MAX_IMPORT_ROWS = 1000;
+
+// CSV import columns: normalized header (lowercase letters only) -> booking field
+const IMPORT_COLUMNS = {
+  customername: 'customerName',
+  phonenumber: 'phoneNumber',
+  phone: 'phoneNumber',
+  emergencyphonenumber: 'emergencyPhoneNumber',
+  emergencyphone: 'emergencyPhoneNumber',
+  photoshoottype: 'photoshootType',
+  package: 'photoshootType',
+  sessiondate: 'sessionDate',
+  sessiontime: 'sessionTime',
+  specialrequestdate: 'specialRequestDate',
+  specialrequesttime: 'specialRequestTime',
+  paymentmethod: 'paymentMethod',
+  status: 'status',
+  notes: 'notes',
+  cancellationreason: 'cancellationReason',
+  locationid: 'locationId',
+  locationcode: 'locationCode',
+  price: 'price',
+  amountpaid: 'amountPaid',
+  force: 'force',
+  overrideschedule: 'overrideSchedule',
+};
+
+// Roles that can release or reassign studio numbers
+const STUDIO_NUMBER_MANAGER_ROLES = ['ADMIN', 'CUSTOMER_SERVICE', 'STUDIO'];
+
+// Roles that can archive signed consent PDFs
+const CONSENT_ARCHIVE_ROLES = ['ADMIN', 'CUSTOMER_SERVICE', 'STUDIO'];
+
+/**
+ * Soft-delete a booking inside a transaction and release its studio number
+ * @param {object} tx - Prisma transaction client
+ * @param {object} booking - Booking as it is before deletion
+ * @param {object} actor - Authenticated user (req.user)
+ * @param {string|null} reason
+ * @param {object} [options]
+ * @param {boolean} [options.numberMoved=false] - Studio number was handed to another booking, so its assignment stays open
+ */
+const softDeleteBooking = async (tx, booking, actor, reason, { numberMoved = false } = {}) => {
+  if (booking.studioNumber !== null && !numberMoved) {
+    await closeStudioNumberAssignment(tx, booking, actor, reason || 'Booking deleted');
+  }
+
+  const deleted = await tx.booking.update({
+    where: { id: booking.id },
+    data: {
+      deletedAt: new Date(),
+      deletedById: actor.id,
+      deletionReason: reason,
+      studioNumber: null,
+      studioNumberScope: LOCATION_SCOPE,
+      version: { increment: 1 },
+    },
+  });
+
+  await recordBookingEvent(tx, {
+    bookingId: booking.id,
+    type: 'DELETED',
+    actor,
+    before: booking,
+    after: deleted,
+    note: reason,
+  });
+
+  return deleted;
+};
+
+/**
+ * Send the 409 response for a booking that does not fit its slot
+ */
+const slotFullResponse = (res, error) => {
+  return errorResponse(res, error.message, 409, {
+    slot: error.slot,
+    freeSlots: error.freeSlots,
+  });
+};
+
+/**
+ * Check a booking against its location's schedule
+ * ADMIN can send overrideSchedule: true to save anyway - the issues are then returned as warnings
+ * @returns {Promise<{ error?: { message: string, statusCode: number, data?: object }, warnings: string[] }>}
+ */
+const checkBookingSchedule = async (user, booking, fields, overrideSchedule) => {
+  const { locationFound, issues } = await validateBookingSchedule(prisma, booking, fields);
+
+  if (!locationFound) {
+    return { error: { message: 'Location not found', statusCode: 404 }, warnings: [] };
+  }
+
+  if (issues.length === 0) {
+    return { warnings: [] };
+  }
+
+  if (user.role === 'ADMIN' && (overrideSchedule === true || overrideSchedule === 'true')) {
+    return { warnings: issues };
+  }
+
+  return {
+    error: {
+      message: issues[0],
+      statusCode: 400,
+      data: { issues, canOverride: user.role === 'ADMIN' },
+    },
+    warnings: [],
+  };
+};
+
+/**
+ * Check a new booking against the business rules and build its data
+ * Request-level validation (createBookingValidation) must have passed already.
+ * @param {object} client - Prisma client or transaction client (for the duplicate check)
+ * @param {object} input - Booking fields as sent to createBooking
+ * @param {object} user - Authenticated user (req.user), becomes the sales person
+ * @returns {Promise<{ error?: { message: string, statusCode: number, data?: object }, bookingData?: object, amountPaid?: string|null, warnings?: string[] }>}
+ */
+const prepareBooking = async (client, input, user) => {
+  const {
+    customerName,
+    phoneNumber,
+    emergencyPhoneNumber,
+    photoshootType,
+    sessionDate,
+    sessionTime,
+    specialRequestDate,
+    specialRequestTime,
+    paymentMethod,
+    locationId,
+    status,
+    notes,
+    cancellationReason,
+    overrideSchedule,
+    force,
+    price,
+    amountPaid,
+  } = input;
+
+  // Validate phone number is exactly 11 digits
+  const phoneDigits = phoneNumber.replace(/\D/g, '');
+  if (phoneDigits.length !== 11) {
+    return { error: { message: 'Phone number must be exactly 11 digits', statusCode: 400 } };
+  }
+
+  // Validate emergency phone number if provided
+  if (emergencyPhoneNumber) {
+    const emergencyDigits = emergencyPhoneNumber.replace(/\D/g, '');
+    if (emergencyDigits.length !== 11) {
+      return { error: { message: 'Emergency phone number must be exactly 11 digits', statusCode: 400 } };
+    }
+  }
+
+  // Normalize payment method: convert "not-paid" to "NOT_PAID" (enum uses underscore)
+  let normalizedPaymentMethod = paymentMethod.toUpperCase();
+  if (normalizedPaymentMethod === 'NOT-PAID') {
+    normalizedPaymentMethod = 'NOT_PAID';
+  }
+
+  // Determine booking status (default to BOOKED if not provided)
+  const bookingStatus = status ? normalizeStatus(status) : 'BOOKED';
+  if (!bookingStatus) {
+    return { error: { message: 'Invalid status', statusCode: 400 } };
+  }
+
+  // For TBC status, allow null dates/times
+  // For other statuses, validate that date and time are provided
+  // Either sessionDate/sessionTime OR specialRequestDate/specialRequestTime must be provided
+  if (bookingStatus !== 'TBC') {
+    // Check for regular session (both date and time must be truthy and non-empty strings)
+    const hasRegularSession = sessionDate && 
+                              sessionTime && 
+                              typeof sessionDate === 'string' &&
+                              typeof sessionTime === 'string' &&
+                              sessionDate.trim() !== '' && 
+                              sessionTime.trim() !== '';
+    
+    // Check for special request (both date and time must be truthy and non-empty strings)
+    const hasSpecialRequest = specialRequestDate && 
+                              specialRequestTime && 
+                              typeof specialRequestDate === 'string' &&
+                              typeof specialRequestTime === 'string' &&
+                              specialRequestDate.trim() !== '' && 
+                              specialRequestTime.trim() !== '';
+    
+    if (!hasRegularSession && !hasSpecialRequest) {
+      return { error: { message: 'Session date and time are required for booked status', statusCode: 400 } };
+    }
+  }
+
+  // Package sold (validated in the route); its current price is snapshotted on the booking
+  const pkg = await findPackageByName(photoshootType);
+  if (!pkg) {
+    return { error: { message: 'Invalid photoshoot type', statusCode: 400 } };
+  }
+
+  // Only admins may sell at a price other than the package price
+  const hasPriceOverride = price !== undefined && price !== null && price !== '';
+  if (hasPriceOverride && user.role !== 'ADMIN') {
+    return { error: { message: 'Only admins can override the package price', statusCode: 403 } };
+  }
+
+  const bookingData = {
+    customerName: customerName.trim(),
+    phoneNumber: phoneDigits,
+    emergencyPhoneNumber: emergencyPhoneNumber ? emergencyPhoneNumber.replace(/\D/g, '') : null,
+    photoshootType: pkg.name,
+    packageId: pkg.id,
+    sessionDate: sessionDate || null,
+    sessionTime: sessionTime || null,
+    specialRequestDate: specialRequestDate || null,
+    specialRequestTime: specialRequestTime || null,
+    paymentMethod: normalizedPaymentMethod,
+    status: bookingStatus,
+    notes: notes || null,
+    cancellationReason: cancellationReason || null,
+    locationId: locationId || null,
+    salesPersonId: user.id,
+    price: hasPriceOverride ? String(price) : pkg.price,
+  };
+
+  // New bookings start as BOOKED, so any other initial status must be a move
+  // the user could make from BOOKED (role and required fields)
+  const statusCheck = validateStatusTransition({ ...bookingData, status: 'BOOKED' }, bookingStatus, { role: user.role });
+  if (!statusCheck.allowed) {
+    const message = statusCheck.statusCode === 403
+      ? `You do not have permission to create a booking with status ${bookingStatus}`
+      : statusCheck.message;
+    return { error: { message, statusCode: statusCheck.statusCode } };
+  }
+
+  // A payment taken at the point of sale goes straight into the ledger
+  const hasInitialPayment = amountPaid !== undefined && amountPaid !== null && amountPaid !== ''
+    && Number(amountPaid) > 0;
+  if (hasInitialPayment && normalizedPaymentMethod === 'NOT_PAID') {
+    return { error: { message: 'Payment method is required when an amount is paid', statusCode: 400 } };
+  }
+
+  // Session dates/times must match the location schedule
+  const scheduleCheck = await checkBookingSchedule(user, bookingData, SCHEDULE_FIELDS, overrideSchedule);
+  if (scheduleCheck.error) {
+    return { error: scheduleCheck.error };
+  }
+
+  // Same customer booked again by someone else? Ask before creating unless forced
+  if (force !== true && force !== 'true') {
+    const duplicates = await findPossibleDuplicates(client, bookingData);
+    if (duplicates.length > 0) {
+      return { error: { message: 'Possible duplicate booking found', statusCode: 409, data: { duplicates } } };
+    }
+  }
+
+  return {
+    bookingData,
+    amountPaid: hasInitialPayment ? String(amountPaid) : null,
+    warnings: scheduleCheck.warnings,
+  };
+};
+
+/**
+ * Insert a prepared booking inside a transaction
+ * Checks slot capacity, links the customer, records the initial payment and the CREATED event
+ * @param {object} tx - Prisma transaction client
+ * @param {object} prepared - Result of prepareBooking
+ * @param {object} user - Authenticated user (req.user)
+ * @param {string} [note] - Extra note for the CREATED event
+ * @returns {Promise<object>} - Created booking
+ * @throws {Error} - Error with code SLOT_FULL when the slot has no room
+ */
+const insertBooking = async (tx, { bookingData, amountPaid, warnings }, user, note) => {
+  await assertSlotAvailable(tx, bookingData);
+
+  // Returning customers are matched by phone number
+  const customer = await findOrCreateCustomer(tx, bookingData);
+
+  const created = await tx.booking.create({
+    data: {
+      ...bookingData,
+      customerId: customer.id,
+    },
+  });
+
+  if (amountPaid) {
+    await tx.payment.create({
+      data: {
+        bookingId: created.id,
+        amount: amountPaid,
+        currency: DEFAULT_CURRENCY,
+        method: bookingData.paymentMethod,
+        takenById: user.id,
+      },
+    });
+  }
+
+  const notes = [
+    note,
+    warnings.length > 0 ? `Schedule override: ${warnings.join('; ')}` : null,
+  ].filter(Boolean);
+
+  await recordBookingEvent(tx, {
+    bookingId: created.id,
+    type: 'CREATED',
+    actor: user,
+    after: created,
+    note: notes.length > 0 ? notes.join('. ') : null,
+  });
+
+  return created;
+};
 
 /**
  * Create a new booking
@@ -12,22 +359,8 @@ const createBooking = async (req, res) => {
       return errorResponse(res, errors.array()[0].msg, 400);
     }
 
-    const {
-      customerName,
-      phoneNumber,
-      emergencyPhoneNumber,
-      photoshootType,
-      sessionDate,
-      sessionTime,
-      specialRequestDate,
-      specialRequestTime,
-      paymentMethod,
-      locationId,
-      status,
-      notes,
-    } = req.body;
-
     // Debug logging to check what values are being received
+    const { sessionDate, sessionTime, specialRequestDate, specialRequestTime, status } = req.body;
     console.log('Booking creation request:', {
       sessionDate,
       sessionTime,
@@ -36,323 +369,309 @@ const createBooking = async (req, res) => {
       status
     });
 
-    // Validate phone number is exactly 11 digits
-    const phoneDigits = phoneNumber.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return errorResponse(res, 'Phone number must be exactly 11 digits', 400);
-    }
-
-    // Validate emergency phone number if provided
-    if (emergencyPhoneNumber) {
-      const emergencyDigits = emergencyPhoneNumber.replace(/\D/g, '');
-      if (emergencyDigits.length !== 11) {
-        return errorResponse(res, 'Emergency phone number must be exactly 11 digits', 400);
-      }
+    const prepared = await prepareBooking(prisma, req.body, req.user);
+    if (prepared.error) {
+      const { message, statusCode, data } = prepared.error;
+      return errorResponse(res, message, statusCode, data);
     }
 
-    // Get the sales person ID from the authenticated user
-    const salesPersonId = req.user.id;
-
-    // Normalize payment method: convert "not-paid" to "NOT_PAID" (enum uses underscore)
-    let normalizedPaymentMethod = paymentMethod.toUpperCase();
-    if (normalizedPaymentMethod === 'NOT-PAID') {
-      normalizedPaymentMethod = 'NOT_PAID';
-    }
-
-    // Determine booking status (default to BOOKED if not provided)
-    const bookingStatus = status && ['BOOKED', 'CONFIRMED', 'TBC', 'CANCELLED', 'NO_ANSWER', 'WLMK'].includes(status.toUpperCase())
-      ? status.toUpperCase()
-      : 'BOOKED';
-
-    // For TBC status, allow null dates/times
-    // For other statuses, validate that date and time are provided
-    // Either sessionDate/sessionTime OR specialRequestDate/specialRequestTime must be provided
-    if (bookingStatus !== 'TBC') {
-      // Check for regular session (both date and time must be truthy and non-empty strings)
-      const hasRegularSession = sessionDate && 
-                                sessionTime && 
-                                typeof sessionDate === 'string' &&
-                                typeof sessionTime === 'string' &&
-                                sessionDate.trim() !== '' && 
-                                sessionTime.trim() !== '';
-      
-      // Check for special request (both date and time must be truthy and non-empty strings)
-      const hasSpecialRequest = specialRequestDate && 
-                                specialRequestTime && 
-                                typeof specialRequestDate === 'string' &&
-                                typeof specialRequestTime === 'string' &&
-                                specialRequestDate.trim() !== '' && 
-                                specialRequestTime.trim() !== '';
-      
-      if (!hasRegularSession && !hasSpecialRequest) {
-        return errorResponse(res, 'Session date and time are required for booked status', 400);
-      }
-    }
+    // Create booking (slot capacity is checked inside the same transaction)
+    const booking = await prisma.$transaction((tx) => insertBooking(tx, prepared, req.user));
 
-    // Create booking
-    const booking = await prisma.booking.create({
-      data: {
-        customerName: customerName.trim(),
-        phoneNumber: phoneDigits,
-        emergencyPhoneNumber: emergencyPhoneNumber ? emergencyPhoneNumber.replace(/\D/g, '') : null,
-        photoshootType,
-        sessionDate: sessionDate || null,
-        sessionTime: sessionTime || null,
-        specialRequestDate: specialRequestDate || null,
-        specialRequestTime: specialRequestTime || null,
-        paymentMethod: normalizedPaymentMethod,
-        status: bookingStatus,
-        notes: notes || null,
-        locationId: locationId || null,
-        salesPersonId,
-      },
-    });
+    const paidAmounts = await getPaidAmounts(prisma, [booking.id]);
 
     return successResponse(
       res,
-      { booking },
+      {
+        booking: { ...booking, balance: buildBalance(booking, paidAmounts.get(booking.id)) },
+        warnings: prepared.warnings,
+      },
       'Booking created successfully',
       201
     );
   } catch (error) {
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
     console.error('Create booking error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
 
 /**
- * Get all bookings (with optional filters)
+ * Import bookings from a CSV file (text/csv body, or JSON { csv })
+ * Every row goes through createBookingValidation and createBooking's rules.
+ * Dry run by default: returns a per-row report without saving anything.
+ * With ?confirm=true all valid rows are created in one transaction; invalid rows are skipped.
  */
-const getBookings = async (req, res) => {
+const importBookings = async (req, res) => {
   try {
-    const { locationId, status, salesPersonId, includeAllSalesPersons, page, limit, hasCollectionDate, hasStudioNumber, sortBy } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
     const user = req.user;
+    const confirm = req.query.confirm === 'true';
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
 
-    // Validate user is authenticated
-    if (!user || !user.role) {
-      return errorResponse(res, 'User not authenticated', 401);
+    if (!csv || typeof csv !== 'string' || !csv.trim()) {
+      return errorResponse(res, 'CSV data is required', 400);
     }
 
-    // Pagination parameters
-    const pageNumber = parseInt(page) || 1;
-    const pageSize = parseInt(limit) || 20; // Default 20 items per page
-    const skip = (pageNumber - 1) * pageSize;
+    const [headerRow, ...dataRows] = parseCsv(csv);
 
-    // Build where clause
-    const where = {};
+    if (dataRows.length === 0) {
+      return errorResponse(res, 'CSV has no booking rows', 400);
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      return errorResponse(res, `CSV can have at most ${MAX_IMPORT_ROWS} booking rows`, 400);
+    }
 
-    // Role-based filtering
-    // If includeAllSalesPersons is true and locationId is provided, bypass sales person filter
-    // This allows fetching all bookings for a location (e.g., for counting purposes)
-    const shouldIncludeAllSalesPersons = includeAllSalesPersons === 'true' && locationId;
-    
-    if (user.role === 'ADMIN') {
-      // Admin can see all bookings, optionally filtered by sales person
-      if (salesPersonId) {
-        where.salesPersonId = salesPersonId;
+    // Headers may be field names ("customerName") or export headers ("Customer Name")
+    const fields = headerRow.map((header) => IMPORT_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null);
+    if (!fields.includes('customerName') || !fields.includes('phoneNumber')) {
+      return errorResponse(res, 'CSV must have customerName and phoneNumber columns', 400);
+    }
+
+    const locations = await prisma.location.findMany({
+      select: { id: true, code: true },
+    });
+    // Locations without a code can only be imported by locationId
+    const locationsByCode = new Map(locations
+      .filter((l) => l.code)
+      .map((l) => [l.code.toUpperCase(), l.id]));
+
+    const report = dataRows.map((cells, index) => {
+      const input = {};
+      fields.forEach((field, column) => {
+        const value = (cells[column] || '').trim();
+        if (field && value !== '') {
+          input[field] = value;
+        }
+      });
+
+      if (input.paymentMethod) {
+        input.paymentMethod = input.paymentMethod.toLowerCase().replace(/[_\s]/g, '-');
       }
-    } else if (user.role === 'SALES_PERSON') {
-      // Sales persons can only see their own bookings
-      // Unless includeAllSalesPersons is true (for counting all bookings at a location)
-      if (!shouldIncludeAllSalesPersons) {
-        where.salesPersonId = user.id;
+      if (input.status) {
+        input.status = input.status.toUpperCase().replace(/[-\s]/g, '_');
       }
-    }
-    // CUSTOMER_SERVICE, SALES and other roles can see all bookings (filtered by location if provided)
 
-    // Filter by location if provided
-    if (locationId) {
-      where.locationId = locationId;
-    }
+      // Line 1 is the header
+      return { row: index + 2, input, errors: [], warnings: [] };
+    });
 
-    // Filter by status if provided
-    if (status) {
-      where.status = status.toUpperCase();
-    }
+    // Same request-level rules as POST /api/bookings
+    for (const entry of report) {
+      if (entry.input.locationCode) {
+        const locationId = locationsByCode.get(entry.input.locationCode.toUpperCase());
+        if (locationId) {
+          entry.input.locationId = locationId;
+        } else {
+          entry.errors.push(`Unknown location code "${entry.input.locationCode}"`);
+        }
+        delete entry.input.locationCode;
+      }
 
-    // Filter by collection date if requested
-    if (hasCollectionDate === 'true') {
-      where.collectionDate = {
-        not: null
-      };
-      where.collectionTime = {
-        not: null
-      };
+      const rowRequest = { body: entry.input };
+      for (const validation of createBookingValidation) {
+        await validation.run(rowRequest);
+      }
+      const rowErrors = validationResult(rowRequest);
+      if (!rowErrors.isEmpty()) {
+        entry.errors.push(...new Set(rowErrors.array().map((e) => e.msg)));
+      }
     }
 
-    // Filter by studio number assignment if requested
-    if (hasStudioNumber === 'true') {
-      where.studioNumber = {
-        not: null
-      };
-    } else if (hasStudioNumber === 'false') {
-      where.studioNumber = null;
-    }
+    const rollback = new Error('Import dry run');
 
-    // Get total count for pagination
-    const totalCount = await prisma.booking.count({ where });
+    try {
+      await prisma.$transaction(async (tx) => {
+        // Rows are checked in file order, so a row sees the bookings imported before it
+        for (const entry of report) {
+          if (entry.errors.length > 0) continue;
+
+          const prepared = await prepareBooking(tx, entry.input, user);
+          if (prepared.error) {
+            entry.errors.push(prepared.error.message);
+            continue;
+          }
+          entry.warnings.push(...prepared.warnings);
 
-    // Get summary statistics from ALL bookings (not just current page)
-    const allBookings = await prisma.booking.findMany({
-      where,
-      select: {
-        status: true,
-      },
-    });
+          try {
+            const created = await insertBooking(tx, prepared, user, `Imported from CSV (row ${entry.row})`);
+            entry.bookingId = created.id;
+          } catch (error) {
+            if (error.code !== 'SLOT_FULL') throw error;
+            entry.errors.push(error.message);
+          }
+        }
 
-    // Calculate status counts
-    const summary = allBookings.reduce(
-      (acc, booking) => {
-        acc[booking.status] = (acc[booking.status] || 0) + 1;
-        return acc;
-      },
-      {}
-    );
+        if (!confirm) {
+          throw rollback;
+        }
+      }, {
+        maxWait: 10000,
+        timeout: 120000, // Large files take a while to check row by row
+      });
+    } catch (error) {
+      if (error !== rollback) throw error;
+    }
 
-    // Fetch ALL bookings first (without pagination) to sort properly
-    const allBookingsForSorting = await prisma.booking.findMany({
-      where,
-      select: {
-        id: true,
-        createdAt: true,
-        sessionDate: true,
-        sessionTime: true,
-        specialRequestDate: true,
-        specialRequestTime: true,
-        collectionDate: true,
-        collectionTime: true,
+    const rows = report.map(({ row, errors: rowErrors, warnings, bookingId }) => ({
+      row,
+      valid: rowErrors.length === 0,
+      errors: rowErrors,
+      warnings,
+      ...(confirm && bookingId && { bookingId }),
+    }));
+    const validCount = rows.filter((r) => r.valid).length;
+
+    return successResponse(
+      res,
+      {
+        dryRun: !confirm,
+        total: rows.length,
+        valid: validCount,
+        invalid: rows.length - validCount,
+        imported: confirm ? validCount : 0,
+        rows,
       },
-    });
+      confirm ? `${validCount} booking(s) imported successfully` : 'Import checked - no bookings were saved',
+      confirm && validCount > 0 ? 201 : 200
+    );
+  } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+    console.error('Import bookings error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
 
-    const isCreatedAtSort = sortBy === 'createdAt';
+/**
+ * Build the Prisma where clause for booking lists from query filters
+ * Applies role visibility: sales persons only see their own bookings
+ * Lists run the result through buildSqlWhere, so only use the filter shapes it supports
+ * @param {object} query - req.query
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {object}
+ */
+const buildBookingFilters = (query, user) => {
+  const { locationId, status, salesPersonId, includeAllSalesPersons, includeDeleted, hasCollectionDate, hasStudioNumber } = query;
 
-    // Sort by the actual displayed date/time (with fallback logic matching frontend)
-    const sortedBookingIds = allBookingsForSorting
-      .sort((a, b) => {
-        if (isCreatedAtSort) {
-          const timeA = a.createdAt ? Date.parse(a.createdAt) : 0;
-          const timeB = b.createdAt ? Date.parse(b.createdAt) : 0;
-          return timeB - timeA; // Newest first
-        }
+  // Build where clause
+  const where = {};
 
-        // If hasCollectionDate is true (Sales tab), sort by collection date/time
-        // Otherwise, use specialRequest date/time if available, then session date/time
-        let dateA, dateB, timeA, timeB;
-        
-        if (hasCollectionDate === 'true') {
-          // Sales tab: sort by collection date and time
-          dateA = a.collectionDate;
-          dateB = b.collectionDate;
-          timeA = a.collectionTime;
-          timeB = b.collectionTime;
-          
-          // Debug: Log comparison values
-          if (dateA && dateB) {
-            console.log(`Comparing: ${dateA} ${timeA} vs ${dateB} ${timeB}`);
-          }
-        } else {
-          // Other tabs: use specialRequest date/time if available, otherwise use session date/time
-          dateA = a.specialRequestDate || a.sessionDate;
-          dateB = b.specialRequestDate || b.sessionDate;
-          timeA = a.specialRequestTime || a.sessionTime;
-          timeB = b.specialRequestTime || b.sessionTime;
-        }
+  // Soft-deleted bookings are hidden unless an admin asks for them
+  if (!(includeDeleted === 'true' && user.role === 'ADMIN')) {
+    where.deletedAt = null;
+  }
 
-        // Handle null dates
-        if (!dateA && !dateB) return 0;
-        if (!dateA) return 1; // Move nulls to end
-        if (!dateB) return -1;
+  // Role-based filtering
+  // If includeAllSalesPersons is true and locationId is provided, bypass sales person filter
+  // This allows fetching all bookings for a location (e.g., for counting purposes)
+  const shouldIncludeAllSalesPersons = includeAllSalesPersons === 'true' && locationId;
 
-        // Compare dates first
-        if (dateA !== dateB) {
-          return dateA.localeCompare(dateB); // ISO date strings compare correctly
-        }
+  if (user.role === 'ADMIN') {
+    // Admin can see all bookings, optionally filtered by sales person
+    if (salesPersonId) {
+      where.salesPersonId = salesPersonId;
+    }
+  } else if (user.role === 'SALES_PERSON') {
+    // Sales persons can only see their own bookings
+    // Unless includeAllSalesPersons is true (for counting all bookings at a location)
+    if (!shouldIncludeAllSalesPersons) {
+      where.salesPersonId = user.id;
+    }
+  }
+  // CUSTOMER_SERVICE, SALES and other roles can see all bookings (filtered by location if provided)
 
-        // If dates are equal, compare times
-        if (!timeA && !timeB) return 0;
-        if (!timeA) return 1;
-        if (!timeB) return -1;
+  // Filter by location if provided
+  if (locationId) {
+    where.locationId = locationId;
+  }
 
-        return timeA.localeCompare(timeB); // HH:MM format compares correctly
-      })
-      .map(b => b.id);
+  // Filter by status if provided
+  if (status) {
+    where.status = status.toUpperCase();
+  }
 
-    // Get the IDs for the current page
-    const paginatedIds = sortedBookingIds.slice(skip, skip + pageSize);
+  // Filter by collection date if requested
+  if (hasCollectionDate === 'true') {
+    where.collectionDate = {
+      not: null
+    };
+    where.collectionTime = {
+      not: null
+    };
+  }
 
-    // Debug: Log the sorted IDs order
-    console.log('Sorted booking IDs for page:', paginatedIds);
+  // Filter by studio number assignment if requested
+  if (hasStudioNumber === 'true') {
+    where.studioNumber = {
+      not: null
+    };
+  } else if (hasStudioNumber === 'false') {
+    where.studioNumber = null;
+  }
 
-    // Fetch full booking details for the current page, preserving sort order
-    const bookings = await prisma.booking.findMany({
-      where: {
-        id: { in: paginatedIds },
-      },
-    });
+  return where;
+};
 
-    // Debug: Log fetched bookings order
-    console.log('Fetched bookings order (before re-sort):', bookings.map(b => ({ id: b.id, collectionDate: b.collectionDate, collectionTime: b.collectionTime })));
+/**
+ * Get all bookings (with optional filters)
+ * Sorted in the database by displayed date/time (special request over session),
+ * collection date/time when hasCollectionDate=true, or createdAt with sortBy=createdAt.
+ * Pass nextCursor back as ?cursor= for the following page; ?page= still works.
+ */
+const getBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
 
-    // Re-sort bookings to match the order of paginatedIds
-    const bookingsMap = new Map(bookings.map(b => [b.id, b]));
-    const sortedBookings = paginatedIds.map(id => bookingsMap.get(id)).filter(Boolean);
+    const { page, limit, cursor, hasCollectionDate, sortBy } = req.query;
+    const user = req.user;
 
-    // Debug: Log final sorted bookings
-    console.log('Final sorted bookings:', sortedBookings.map(b => ({ id: b.id, collectionDate: b.collectionDate, collectionTime: b.collectionTime })));
+    // Validate user is authenticated
+    if (!user || !user.role) {
+      return errorResponse(res, 'User not authenticated', 401);
+    }
 
-    // Manually enrich bookings with location and sales person details
-    const bookingsWithDetails = await Promise.all(
-      sortedBookings.map(async (booking) => {
-        let location = null;
-        let salesPerson = null;
+    // Pagination parameters
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20; // Default 20 items per page
+    const skip = (pageNumber - 1) * pageSize;
 
-        if (booking.locationId) {
-          try {
-            // Query location - code field will be included if migration has been run
-            const locationData = await prisma.location.findUnique({
-              where: { id: booking.locationId },
-            });
-            if (locationData) {
-              location = {
-                id: locationData.id,
-                name: locationData.name,
-                code: locationData.code !== undefined ? locationData.code : null,
-              };
-            }
-          } catch (locError) {
-            console.error('Error fetching location:', locError);
-            location = null;
-          }
-        }
+    const where = buildBookingFilters(req.query, user);
 
-        if (booking.salesPersonId) {
-          salesPerson = await prisma.user.findUnique({
-            where: { id: booking.salesPersonId },
-            select: {
-              id: true,
-              name: true,
-              email: true,
-            },
-          });
-        }
+    // Total and summary statistics from ALL matching bookings (not just current page)
+    const [{ total: totalCount, counts: summary }, { bookings, nextCursor }] = await Promise.all([
+      countBookingsByStatus(prisma, where),
+      findBookingPage(prisma, {
+        where,
+        sort: getBookingSort(sortBy, hasCollectionDate === 'true'),
+        limit: pageSize,
+        cursor,
+        skip,
+      }),
+    ]);
 
-        return {
-          ...booking,
-          location,
-          salesPerson,
-        };
-      })
-    );
+    const bookingsWithDetails = await enrichBookings(prisma, bookings);
 
     return successResponse(
       res,
       { 
-        bookings: bookingsWithDetails,
+        bookings: await withBalances(prisma, bookingsWithDetails),
         pagination: {
           total: totalCount,
-          page: pageNumber,
+          page: cursor ? null : pageNumber,
           limit: pageSize,
           totalPages: Math.ceil(totalCount / pageSize),
+          nextCursor,
         },
         summary: {
           total: totalCount,
@@ -369,6 +688,9 @@ const getBookings = async (req, res) => {
       200
     );
   } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
     console.error('Get bookings error:', error);
     console.error('Error stack:', error.stack);
     console.error('Error details:', JSON.stringify(error, null, 2));
@@ -378,38 +700,215 @@ const getBookings = async (req, res) => {
 };
 
 /**
- * Get a single booking by ID
+ * Search bookings by name, phone number, notes or studio number
+ * Matches customerName, phoneNumber, emergencyPhoneNumber, notes, studioNotes
+ * and the formatted studio number (e.g. "MOM-12"), with getBookings' visibility and filters
  */
-const getBookingById = async (req, res) => {
+const searchBookings = async (req, res) => {
   try {
-    const { id } = req.params;
-    const user = req.user;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
 
-    // Validate user is authenticated
-    if (!user || !user.role) {
-      return errorResponse(res, 'User not authenticated', 401);
+    const { q, limit, cursor, sortBy } = req.query;
+    const user = req.user;
+    const term = q.trim();
+    const pageSize = parseInt(limit) || 20;
+
+    const matchers = ['customerName', 'notes', 'studioNotes'].map((field) => ({
+      [field]: { contains: term, mode: 'insensitive' },
+    }));
+
+    // Phone numbers may be stored with spaces, so also match on the digits alone
+    const digits = term.replace(/\D/g, '');
+    for (const field of ['phoneNumber', 'emergencyPhoneNumber']) {
+      matchers.push({ [field]: { contains: term } });
+      if (digits.length >= 3 && digits !== term) {
+        matchers.push({ [field]: { contains: digits } });
+      }
     }
 
-    const booking = await prisma.booking.findUnique({
-      where: { id },
-    });
+    // Studio numbers: "MOM-12", "MOM 12" or just "12"
+    const studioNumberMatch = term.match(/^(?:([A-Za-z]+)[\s-]*)?(\d+)$/);
+    if (studioNumberMatch) {
+      const [, code, number] = studioNumberMatch;
+      const studioNumber = parseInt(number);
 
-    if (!booking) {
-      return errorResponse(res, 'Booking not found', 404);
+      if (code) {
+        const locations = await prisma.location.findMany({
+          where: { code: { equals: code, mode: 'insensitive' } },
+          select: { id: true },
+        });
+        if (locations.length > 0) {
+          matchers.push({ locationId: { in: locations.map((l) => l.id) }, studioNumber });
+        }
+      } else if (studioNumber <= 2147483647) {
+        matchers.push({ studioNumber });
+      }
     }
 
-    // Check if user has permission to view this booking
-    // ADMIN, CUSTOMER_SERVICE, STUDIO, and SALES can view any booking
-    // Sales persons can only view their own bookings
-    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
-      return errorResponse(res, 'You do not have permission to view this booking', 403);
-    }
+    const where = {
+      ...buildBookingFilters(req.query, user),
+      OR: matchers,
+    };
 
-    // Manually enrich booking with location and sales person details
-    let location = null;
-    let salesPerson = null;
+    const { bookings, nextCursor } = await findBookingPage(prisma, {
+      where,
+      sort: getBookingSort(sortBy, false),
+      limit: pageSize,
+      cursor,
+    });
 
-    if (booking.locationId) {
+    const bookingsWithDetails = await enrichBookings(prisma, bookings);
+
+    return successResponse(
+      res,
+      {
+        bookings: await withBalances(prisma, bookingsWithDetails),
+        pagination: {
+          limit: pageSize,
+          nextCursor,
+        },
+      },
+      'Bookings retrieved successfully',
+      200
+    );
+  } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+    console.error('Search bookings error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Export bookings as CSV or Excel (?format=csv|xlsx)
+ * Accepts getBookings' filters plus a from/to range on the displayed date.
+ * Rows are read in batches and streamed, so large tours don't load into memory at once.
+ */
+const exportBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { format = 'csv', from, to, hasCollectionDate, sortBy } = req.query;
+    const where = buildBookingFilters(req.query, req.user);
+
+    // Date range on the displayed date: special request date if set, otherwise session date
+    if (from || to) {
+      const range = {
+        ...(from && { gte: from }),
+        ...(to && { lte: to }),
+      };
+      where.OR = [
+        { specialRequestDate: range },
+        { specialRequestDate: null, sessionDate: range },
+      ];
+    }
+
+    const sort = getBookingSort(sortBy, hasCollectionDate === 'true');
+    // Reject unsupported filters before the download starts
+    buildSqlWhere(where);
+    const writer = createExportWriter(res, format);
+
+    let cursor;
+    do {
+      const page = await findBookingPage(prisma, { where, sort, limit: EXPORT_BATCH_SIZE, cursor });
+      const bookings = await withBalances(prisma, await enrichBookings(prisma, page.bookings));
+
+      for (const booking of bookings) {
+        await writer.writeBooking(booking);
+      }
+      cursor = page.nextCursor;
+    } while (cursor && !res.destroyed);
+
+    await writer.end();
+  } catch (error) {
+    console.error('Export bookings error:', error);
+    if (res.headersSent) {
+      // Part of the file has been sent already; cut the download short
+      return res.destroy(error);
+    }
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get the booking version a client based its changes on
+ * From the If-Match header (ETag of getBookingById) or a version field in the body
+ * @returns {number|'*'|null} - null when the client sent neither
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') return '*';
+    const version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return Number.isNaN(version) ? null : version;
+  }
+
+  if (req.body.version !== undefined && req.body.version !== null) {
+    return parseInt(req.body.version, 10);
+  }
+
+  return null;
+};
+
+const bookingETag = (booking) => `"${booking.version}"`;
+
+/**
+ * Send the 409 response for a change based on an outdated version of the booking
+ */
+const staleBookingResponse = (res, currentBooking) => {
+  res.set('ETag', bookingETag(currentBooking));
+  return errorResponse(
+    res,
+    'Booking was changed by someone else. Review the current booking and try again.',
+    409,
+    { booking: currentBooking }
+  );
+};
+
+/**
+ * Get a single booking by ID
+ */
+const getBookingById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    // Validate user is authenticated
+    if (!user || !user.role) {
+      return errorResponse(res, 'User not authenticated', 401);
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+    });
+
+    // Deleted bookings are only visible to admin (so they can be restored)
+    if (!booking || (booking.deletedAt && user.role !== 'ADMIN')) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    // Check if user has permission to view this booking
+    // ADMIN, CUSTOMER_SERVICE, STUDIO, and SALES can view any booking
+    // Sales persons can only view their own bookings
+    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
+      return errorResponse(res, 'You do not have permission to view this booking', 403);
+    }
+
+    // Manually enrich booking with location and sales person details
+    let location = null;
+    let salesPerson = null;
+
+    if (booking.locationId) {
       try {
         const locationData = await prisma.location.findUnique({
           where: { id: booking.locationId },
@@ -443,12 +942,31 @@ const getBookingById = async (req, res) => {
       }
     }
 
+    // Customer with the number of bookings they have made
+    let customer = null;
+    if (booking.customerId) {
+      const customerData = await prisma.customer.findUnique({
+        where: { id: booking.customerId },
+      });
+      if (customerData) {
+        const bookingCount = await prisma.booking.count({
+          where: { customerId: booking.customerId, deletedAt: null },
+        });
+        customer = { ...customerData, bookingCount };
+      }
+    }
+
+    const paidAmounts = await getPaidAmounts(prisma, [booking.id]);
+
     const bookingWithDetails = {
       ...booking,
       location,
       salesPerson,
+      customer,
+      balance: buildBalance(booking, paidAmounts.get(booking.id)),
     };
 
+    res.set('ETag', bookingETag(booking));
     return successResponse(
       res,
       { booking: bookingWithDetails },
@@ -464,6 +982,8 @@ const getBookingById = async (req, res) => {
 
 /**
  * Update a booking
+ * Requires If-Match (or version in the body) matching the current version;
+ * answers 409 with the current booking when the client's copy is stale
  */
 const updateBooking = async (req, res) => {
   try {
@@ -477,7 +997,7 @@ const updateBooking = async (req, res) => {
 
     // Check if booking exists
     const existingBooking = await prisma.booking.findUnique({
-      where: { id },
+      where: { id, deletedAt: null },
     });
 
     if (!existingBooking) {
@@ -491,6 +1011,14 @@ const updateBooking = async (req, res) => {
       return errorResponse(res, 'You do not have permission to update this booking', 403);
     }
 
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null) {
+      return errorResponse(res, 'If-Match header or version is required to update a booking', 428);
+    }
+    if (expectedVersion !== '*' && expectedVersion !== existingBooking.version) {
+      return staleBookingResponse(res, existingBooking);
+    }
+
     const {
       customerName,
       phoneNumber,
@@ -507,6 +1035,8 @@ const updateBooking = async (req, res) => {
       cancellationReason,
       collectionDate,
       collectionTime,
+      overrideSchedule,
+      price,
     } = req.body;
 
     // Validate phone number if provided
@@ -534,20 +1064,47 @@ const updateBooking = async (req, res) => {
         ? emergencyPhoneNumber.replace(/\D/g, '')
         : null;
     }
-    if (photoshootType) updateData.photoshootType = photoshootType;
+    // An unchanged photoshoot type is kept as is, even if no package matches it (legacy bookings)
+    if (photoshootType && photoshootType !== existingBooking.photoshootType) {
+      const pkg = await findPackageByName(photoshootType, { includeInactive: true });
+      if (!pkg) {
+        return errorResponse(res, 'Invalid photoshoot type', 400);
+      }
+      updateData.photoshootType = pkg.name;
+      // Switching package re-prices the booking at the current price list
+      if (pkg.id !== existingBooking.packageId) {
+        updateData.packageId = pkg.id;
+        updateData.price = pkg.price;
+      }
+    }
     if (sessionDate !== undefined) updateData.sessionDate = sessionDate || null;
     if (sessionTime !== undefined) updateData.sessionTime = sessionTime || null;
     if (specialRequestDate !== undefined) updateData.specialRequestDate = specialRequestDate || null;
     if (specialRequestTime !== undefined) updateData.specialRequestTime = specialRequestTime || null;
     if (paymentMethod) {
-      // Normalize payment method: convert "not-paid" to "NOT_PAID" (enum uses underscore)
-      let normalizedPaymentMethod = paymentMethod.toUpperCase();
-      if (normalizedPaymentMethod === 'NOT-PAID') {
-        normalizedPaymentMethod = 'NOT_PAID';
+      // Once payments are recorded the payment method is derived from the ledger
+      const paymentCount = await prisma.payment.count({ where: { bookingId: id } });
+      if (paymentCount === 0) {
+        // Normalize payment method: convert "not-paid" to "NOT_PAID" (enum uses underscore)
+        let normalizedPaymentMethod = paymentMethod.toUpperCase();
+        if (normalizedPaymentMethod === 'NOT-PAID') {
+          normalizedPaymentMethod = 'NOT_PAID';
+        }
+        updateData.paymentMethod = normalizedPaymentMethod;
+      }
+    }
+    if (price !== undefined) {
+      const newPrice = price !== null && price !== '' ? String(price) : null;
+      const unchanged = newPrice === null
+        ? existingBooking.price === null
+        : existingBooking.price !== null && Number(existingBooking.price) === Number(newPrice);
+      // Only admins may override or clear the package price
+      if (!unchanged && user.role !== 'ADMIN') {
+        return errorResponse(res, 'Only admins can override the package price', 403);
       }
-      updateData.paymentMethod = normalizedPaymentMethod;
+      if (!unchanged) updateData.price = newPrice;
     }
-    if (status) updateData.status = status.toUpperCase();
+    if (status) updateData.status = normalizeStatus(status);
     if (notes !== undefined) updateData.notes = notes || null;
     if (req.body.studioNotes !== undefined) updateData.studioNotes = req.body.studioNotes || null;
     if (cancellationReason !== undefined) updateData.cancellationReason = cancellationReason || null;
@@ -555,9 +1112,59 @@ const updateBooking = async (req, res) => {
     if (collectionDate !== undefined) updateData.collectionDate = collectionDate || null;
     if (collectionTime !== undefined) updateData.collectionTime = collectionTime || null;
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: updateData,
+    // Enforce the status state machine when the status changes
+    if (updateData.status && updateData.status !== existingBooking.status) {
+      const transition = validateStatusTransition(existingBooking, updateData.status, {
+        role: user.role,
+        changes: updateData,
+      });
+      if (!transition.allowed) {
+        return errorResponse(res, transition.message, transition.statusCode);
+      }
+    }
+
+    // Only the schedule fields being changed are checked, so older bookings stay editable
+    const scheduleCheck = await checkBookingSchedule(
+      user,
+      { ...existingBooking, ...updateData },
+      getChangedScheduleFields(updateData),
+      overrideSchedule
+    );
+    if (scheduleCheck.error) {
+      const { message, statusCode, data } = scheduleCheck.error;
+      return errorResponse(res, message, statusCode, data);
+    }
+
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      const nextBooking = { ...existingBooking, ...updateData };
+      if (isSlotChange(existingBooking, nextBooking)) {
+        await assertSlotAvailable(tx, nextBooking, id);
+      }
+
+      // Re-link the customer when the phone number changes (or was never linked)
+      if (!existingBooking.customerId || nextBooking.phoneNumber !== existingBooking.phoneNumber) {
+        const customer = await findOrCreateCustomer(tx, nextBooking);
+        updateData.customerId = customer.id;
+      }
+
+      // Only applies if nobody saved the booking since it was loaded above
+      const updated = await tx.booking.update({
+        where: { id, version: existingBooking.version },
+        data: { ...updateData, version: { increment: 1 } },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: updated.status !== existingBooking.status ? 'STATUS_CHANGED' : 'UPDATED',
+        actor: user,
+        before: existingBooking,
+        after: updated,
+        note: scheduleCheck.warnings.length > 0 ? `Schedule override: ${scheduleCheck.warnings.join('; ')}` : null,
+      });
+
+      // Per-day studio numbers follow the session date
+      const renumbered = await syncStudioNumberScope(tx, existingBooking, updated, user);
+      return renumbered ? { ...updated, ...renumbered } : updated;
     });
 
     // Manually enrich updated booking with location and sales person details
@@ -585,261 +1192,903 @@ const updateBooking = async (req, res) => {
       });
     }
 
+    const paidAmounts = await getPaidAmounts(prisma, [id]);
+
     const updatedBookingWithDetails = {
       ...updatedBooking,
       location,
       salesPerson,
+      balance: buildBalance(updatedBooking, paidAmounts.get(id)),
     };
 
+    res.set('ETag', bookingETag(updatedBooking));
     return successResponse(
       res,
-      { booking: updatedBookingWithDetails },
+      { booking: updatedBookingWithDetails, warnings: scheduleCheck.warnings },
       'Booking updated successfully',
       200
     );
   } catch (error) {
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
+    // Another update was saved between loading the booking and writing it
+    if (error.code === 'P2025') {
+      const currentBooking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+      if (currentBooking) {
+        return staleBookingResponse(res, currentBooking);
+      }
+    }
+    // Someone took the same per-day studio number at the same time
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'Studio number conflict occurred. Please try again.', 409);
+    }
     console.error('Update booking error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
 
 /**
- * Delete a booking
+ * Move a booking to a new status (enforces the status state machine)
  */
-const deleteBooking = async (req, res) => {
+const transitionBookingStatus = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
     const { id } = req.params;
     const user = req.user;
+    const {
+      status,
+      cancellationReason,
+      sessionDate,
+      sessionTime,
+      specialRequestDate,
+      specialRequestTime,
+      overrideSchedule,
+    } = req.body;
 
-    // Check if booking exists
     const existingBooking = await prisma.booking.findUnique({
-      where: { id },
+      where: { id, deletedAt: null },
     });
 
     if (!existingBooking) {
       return errorResponse(res, 'Booking not found', 404);
     }
 
-    // Check if user has permission to delete this booking
-    // ADMIN, CUSTOMER_SERVICE, STUDIO, and SALES can delete any booking
-    // Sales persons can only delete their own bookings
+    // Same permission rule as updateBooking
     if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && existingBooking.salesPersonId !== user.id) {
-      return errorResponse(res, 'You do not have permission to delete this booking', 403);
+      return errorResponse(res, 'You do not have permission to update this booking', 403);
     }
 
-    await prisma.booking.delete({
-      where: { id },
+    const targetStatus = normalizeStatus(status);
+
+    if (targetStatus === existingBooking.status) {
+      return errorResponse(res, `Booking is already ${targetStatus}`, 409);
+    }
+
+    // Fields that may be supplied together with the transition
+    const updateData = { status: targetStatus };
+    if (cancellationReason !== undefined) updateData.cancellationReason = cancellationReason || null;
+    if (sessionDate !== undefined) updateData.sessionDate = sessionDate || null;
+    if (sessionTime !== undefined) updateData.sessionTime = sessionTime || null;
+    if (specialRequestDate !== undefined) updateData.specialRequestDate = specialRequestDate || null;
+    if (specialRequestTime !== undefined) updateData.specialRequestTime = specialRequestTime || null;
+
+    const transition = validateStatusTransition(existingBooking, targetStatus, {
+      role: user.role,
+      changes: updateData,
     });
+    if (!transition.allowed) {
+      return errorResponse(res, transition.message, transition.statusCode, {
+        currentStatus: existingBooking.status,
+        allowedTransitions: getAllowedTransitions(existingBooking.status, user.role),
+      });
+    }
 
-    return successResponse(res, null, 'Booking deleted successfully', 200);
+    const scheduleCheck = await checkBookingSchedule(
+      user,
+      { ...existingBooking, ...updateData },
+      getChangedScheduleFields(updateData),
+      overrideSchedule
+    );
+    if (scheduleCheck.error) {
+      const { message, statusCode, data } = scheduleCheck.error;
+      return errorResponse(res, message, statusCode, data);
+    }
+
+    // Reinstated bookings no longer carry a cancellation reason
+    if (existingBooking.status === 'CANCELLED' && cancellationReason === undefined) {
+      updateData.cancellationReason = null;
+    }
+
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      // Reinstating a cancelled booking takes its slot back
+      const nextBooking = { ...existingBooking, ...updateData };
+      if (isSlotChange(existingBooking, nextBooking)) {
+        await assertSlotAvailable(tx, nextBooking, id);
+      }
+
+      const updated = await tx.booking.update({
+        where: { id },
+        data: { ...updateData, version: { increment: 1 } },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'STATUS_CHANGED',
+        actor: user,
+        before: existingBooking,
+        after: updated,
+        note: updated.cancellationReason,
+      });
+
+      return updated;
+    });
+
+    return successResponse(
+      res,
+      {
+        booking: updatedBooking,
+        previousStatus: existingBooking.status,
+        allowedTransitions: getAllowedTransitions(updatedBooking.status, user.role),
+        warnings: scheduleCheck.warnings,
+      },
+      `Booking status changed from ${existingBooking.status} to ${updatedBooking.status}`,
+      200
+    );
   } catch (error) {
-    console.error('Delete booking error:', error);
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
+    console.error('Transition booking status error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
 
 /**
- * Allocate studio number to a booking (sequential and unique per location)
+ * Move a booking to a different slot (session or special request)
+ * Checks the target slot has room, keeps the original and new slot with the reason,
+ * and emits "booking.rescheduled" for notification channels
  */
-const allocateStudioNumber = async (req, res) => {
+const rescheduleBooking = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
     const { id } = req.params;
+    const user = req.user;
+    const {
+      sessionDate,
+      sessionTime,
+      specialRequestDate,
+      specialRequestTime,
+      reason,
+      overrideSchedule,
+    } = req.body;
 
-    // Check if booking exists
     const existingBooking = await prisma.booking.findUnique({
-      where: { id },
+      where: { id, deletedAt: null },
     });
 
     if (!existingBooking) {
       return errorResponse(res, 'Booking not found', 404);
     }
 
-    // Require consent form before allocating studio number
-    if (!existingBooking.consentFormSigned) {
-      return errorResponse(res, 'Consent form must be signed before allocating studio number', 400);
+    // Same permission rule as updateBooking
+    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && existingBooking.salesPersonId !== user.id) {
+      return errorResponse(res, 'You do not have permission to update this booking', 403);
     }
 
-    // Check if booking has a location
-    if (!existingBooking.locationId) {
-      return errorResponse(res, 'Booking must have a location assigned before allocating studio number', 400);
+    if (existingBooking.status === 'CANCELLED') {
+      return errorResponse(res, 'Cancelled bookings cannot be rescheduled', 409);
     }
 
-    // Check if booking already has a studio number
-    if (existingBooking.studioNumber !== null) {
-      return errorResponse(res, 'Studio number already allocated to this booking', 400);
+    // Special request slot takes precedence over the session slot, as everywhere else
+    const specialRequest = !!specialRequestDate;
+    const updateData = specialRequest
+      ? { specialRequestDate, specialRequestTime }
+      : { sessionDate, sessionTime };
+
+    const from = existingBooking.specialRequestDate && existingBooking.specialRequestTime
+      ? { date: existingBooking.specialRequestDate, time: existingBooking.specialRequestTime }
+      : { date: existingBooking.sessionDate, time: existingBooking.sessionTime };
+    const to = specialRequest
+      ? { date: specialRequestDate, time: specialRequestTime }
+      : { date: sessionDate, time: sessionTime };
+
+    // Moving the session while a special request slot is set would not change the visible slot
+    if (!specialRequest && existingBooking.specialRequestDate) {
+      updateData.specialRequestDate = null;
+      updateData.specialRequestTime = null;
     }
 
-    // Get location details
-    const location = await prisma.location.findUnique({
-      where: { id: existingBooking.locationId },
-      select: {
-        id: true,
-        name: true,
-        code: true,
-      },
-    });
+    if (from.date === to.date && from.time === to.time) {
+      return errorResponse(res, 'Booking is already in this slot', 400);
+    }
 
-    if (!location) {
-      return errorResponse(res, 'Location not found for this booking', 404);
+    const scheduleCheck = await checkBookingSchedule(
+      user,
+      { ...existingBooking, ...updateData },
+      getChangedScheduleFields(updateData),
+      overrideSchedule
+    );
+    if (scheduleCheck.error) {
+      const { message, statusCode, data } = scheduleCheck.error;
+      return errorResponse(res, message, statusCode, data);
     }
 
-    // Get all bookings with studio numbers for this location, ordered by studio number
-    const bookingsWithStudioNumbers = await prisma.booking.findMany({
-      where: {
-        locationId: existingBooking.locationId,
-        studioNumber: { not: null },
-      },
-      select: {
-        studioNumber: true,
-      },
-      orderBy: {
-        studioNumber: 'asc',
-      },
-    });
+    const { updated, reschedule, customerRescheduleCount } = await prisma.$transaction(async (tx) => {
+      await assertSlotAvailable(tx, { ...existingBooking, ...updateData }, id);
 
-    // Find the next available studio number for this location (starting from 1)
-    let nextStudioNumber = 1;
-    
-    // If there are existing studio numbers for this location, find the first gap or the next sequential number
-    if (bookingsWithStudioNumbers.length > 0) {
-      // Check for gaps in the sequence
-      for (let i = 0; i < bookingsWithStudioNumbers.length; i++) {
-        const expectedNumber = i + 1;
-        if (bookingsWithStudioNumbers[i].studioNumber !== expectedNumber) {
-          nextStudioNumber = expectedNumber;
-          break;
-        }
-        nextStudioNumber = expectedNumber + 1;
-      }
-    }
+      const result = await tx.booking.update({
+        where: { id },
+        data: {
+          ...updateData,
+          rescheduleCount: { increment: 1 },
+          version: { increment: 1 },
+        },
+      });
 
-    // Check if this studio number already exists for this location (extra safety check)
-    const existingStudioNumber = await prisma.booking.findFirst({
-      where: {
-        locationId: existingBooking.locationId,
-        studioNumber: nextStudioNumber,
-        id: { not: id }, // Exclude the current booking
-      },
-    });
+      const record = await tx.bookingReschedule.create({
+        data: {
+          bookingId: id,
+          customerId: existingBooking.customerId,
+          fromDate: from.date || null,
+          fromTime: from.time || null,
+          toDate: to.date,
+          toTime: to.time,
+          specialRequest,
+          reason: reason.trim(),
+          rescheduledById: user.id,
+        },
+      });
 
-    if (existingStudioNumber) {
-      // If there's a conflict, find the next available number
-      const allStudioNumbers = bookingsWithStudioNumbers.map(b => b.studioNumber).sort((a, b) => a - b);
-      nextStudioNumber = allStudioNumbers[allStudioNumbers.length - 1] + 1;
-    }
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'RESCHEDULED',
+        actor: user,
+        before: existingBooking,
+        after: result,
+        note: reason.trim(),
+      });
 
-    // Update the booking with the allocated studio number and set status to CONFIRMED
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: {
-        studioNumber: nextStudioNumber,
-        status: 'CONFIRMED', // Automatically set status to CONFIRMED when allocating studio number
-      },
-      select: {
-        id: true,
-        customerName: true,
-        phoneNumber: true,
-        sessionDate: true,
-        sessionTime: true,
-        status: true,
-        studioNumber: true,
-        locationId: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+      const customerCount = existingBooking.customerId
+        ? await tx.bookingReschedule.count({ where: { customerId: existingBooking.customerId } })
+        : result.rescheduleCount;
+
+      // Per-day studio numbers follow the session date
+      const renumbered = await syncStudioNumberScope(tx, existingBooking, result, user);
+
+      return {
+        updated: renumbered ? { ...result, ...renumbered } : result,
+        reschedule: record,
+        customerRescheduleCount: customerCount,
+      };
     });
 
-    // Format the studio number with location code
-    const studioNumberDisplay = location.code 
-      ? `${location.code}-${nextStudioNumber}` 
-      : `${nextStudioNumber}`;
+    emitBookingEvent('booking.rescheduled', {
+      booking: updated,
+      from,
+      to,
+      reason: reschedule.reason,
+      actor: { id: user.id, role: user.role },
+      rescheduleCount: updated.rescheduleCount,
+      customerRescheduleCount,
+    });
 
     return successResponse(
       res,
-      { 
-        booking: {
-          ...updatedBooking,
-          location: location,
-        }
+      {
+        booking: updated,
+        reschedule,
+        rescheduleCount: updated.rescheduleCount,
+        customerRescheduleCount,
+        warnings: scheduleCheck.warnings,
       },
-      `Studio number ${studioNumberDisplay} allocated successfully`,
+      'Booking rescheduled successfully',
       200
     );
   } catch (error) {
-    console.error('Allocate studio number error:', error);
-    
-    // Handle unique constraint violation
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
+    // Someone took the same per-day studio number at the same time
     if (error.code === 'P2002') {
       return errorResponse(res, 'Studio number conflict occurred. Please try again.', 409);
     }
-    
+    console.error('Reschedule booking error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
 
 /**
- * Save consent form signature for a booking
+ * Shift a YYYY-MM-DD date by a number of days
  */
-const saveConsentFormSignature = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { signature } = req.body; // Base64 data URL
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
 
-    // Validate signature data
-    if (!signature || typeof signature !== 'string') {
-      return errorResponse(res, 'Signature data is required', 400);
-    }
+/**
+ * Build the changes a bulk action makes to one booking
+ * @returns {{ error?: { message: string, statusCode: number }, updateData?: object }}
+ */
+const buildBulkChanges = (booking, body, user) => {
+  const { action } = body;
 
-    // Check if booking exists
-    const existingBooking = await prisma.booking.findUnique({
-      where: { id },
-    });
+  if (action === 'status') {
+    const targetStatus = normalizeStatus(body.status);
+    if (targetStatus === booking.status) {
+      return { error: { message: `Booking is already ${targetStatus}`, statusCode: 409 } };
+    }
 
-    if (!existingBooking) {
-      return errorResponse(res, 'Booking not found', 404);
+    const updateData = { status: targetStatus };
+    if (body.cancellationReason !== undefined) {
+      updateData.cancellationReason = body.cancellationReason || null;
+    } else if (booking.status === 'CANCELLED') {
+      // Reinstated bookings no longer carry a cancellation reason
+      updateData.cancellationReason = null;
     }
 
-    // Delete old signature file if it exists
-    if (existingBooking.signaturePath) {
-      const { deleteFile } = require('../utils/fileStorage');
-      deleteFile(existingBooking.signaturePath);
+    const transition = validateStatusTransition(booking, targetStatus, {
+      role: user.role,
+      changes: updateData,
+    });
+    if (!transition.allowed) {
+      return { error: { message: transition.message, statusCode: transition.statusCode } };
+    }
+    return { updateData };
+  }
+
+  if (action === 'reschedule') {
+    // Every date the booking has moves: to the given date, or by the given number of days
+    const moveDate = (date) => (body.date ? body.date : shiftDate(date, parseInt(body.days)));
+    const updateData = {};
+    if (booking.sessionDate) updateData.sessionDate = moveDate(booking.sessionDate);
+    if (booking.specialRequestDate) updateData.specialRequestDate = moveDate(booking.specialRequestDate);
+
+    if (Object.keys(updateData).length === 0) {
+      return { error: { message: 'Booking has no date to reschedule', statusCode: 400 } };
+    }
+    return { updateData };
+  }
+
+  if (action === 'reassign') {
+    return { updateData: { salesPersonId: body.salesPersonId } };
+  }
+
+  if (action === 'collection') {
+    return {
+      updateData: {
+        collectionDate: body.collectionDate || null,
+        collectionTime: body.collectionTime || null,
+      },
+    };
+  }
+
+  return { error: { message: 'Invalid action', statusCode: 400 } };
+};
+
+/**
+ * Apply a bulk action to one booking
+ * @returns {Promise<{ error?: object, booking?: object, warnings?: string[] }>}
+ */
+const applyBulkAction = async (booking, body, user) => {
+  if (body.action === 'delete') {
+    const deleted = await prisma.$transaction((tx) => softDeleteBooking(tx, booking, user, body.reason || null));
+    return { booking: deleted, warnings: [] };
+  }
+
+  const { error, updateData } = buildBulkChanges(booking, body, user);
+  if (error) {
+    return { error };
+  }
+
+  const nextBooking = { ...booking, ...updateData };
+  const scheduleCheck = await checkBookingSchedule(
+    user,
+    nextBooking,
+    getChangedScheduleFields(updateData),
+    body.overrideSchedule
+  );
+  if (scheduleCheck.error) {
+    return { error: scheduleCheck.error };
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (isSlotChange(booking, nextBooking)) {
+      await assertSlotAvailable(tx, nextBooking, booking.id);
+    }
+
+    const result = await tx.booking.update({
+      where: { id: booking.id },
+      data: { ...updateData, version: { increment: 1 } },
+    });
+
+    await recordBookingEvent(tx, {
+      bookingId: booking.id,
+      type: result.status !== booking.status ? 'STATUS_CHANGED' : 'UPDATED',
+      actor: user,
+      before: booking,
+      after: result,
+      note: [
+        `Bulk ${body.action}`,
+        scheduleCheck.warnings.length > 0 ? `Schedule override: ${scheduleCheck.warnings.join('; ')}` : null,
+      ].filter(Boolean).join('. '),
+    });
+
+    // Per-day studio numbers follow the session date
+    const renumbered = await syncStudioNumberScope(tx, booking, result, user);
+    return renumbered ? { ...result, ...renumbered } : result;
+  });
+
+  return { booking: updated, warnings: scheduleCheck.warnings };
+};
+
+/**
+ * Apply one action to many bookings
+ * Actions: status, reschedule (date or days), reassign (salesPersonId),
+ * collection (collectionDate/collectionTime) and delete.
+ * Each booking is checked and saved on its own; the response has a result per booking.
+ */
+const bulkUpdateBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const user = req.user;
+    const { action, salesPersonId } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    if (action === 'reassign') {
+      // Sales persons can't hand their bookings to someone else
+      if (user.role === 'SALES_PERSON') {
+        return errorResponse(res, 'You do not have permission to reassign bookings', 403);
+      }
+
+      const salesPerson = await prisma.user.findUnique({
+        where: { id: salesPersonId },
+        select: { id: true },
+      });
+      if (!salesPerson) {
+        return errorResponse(res, 'Sales person not found', 404);
+      }
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: ids }, deletedAt: null },
+    });
+    const bookingsMap = new Map(bookings.map((b) => [b.id, b]));
+
+    const results = [];
+    for (const id of ids) {
+      const existingBooking = bookingsMap.get(id);
+
+      if (!existingBooking) {
+        results.push({ id, success: false, statusCode: 404, message: 'Booking not found' });
+        continue;
+      }
+
+      // Same permission rule as updateBooking
+      if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && existingBooking.salesPersonId !== user.id) {
+        results.push({ id, success: false, statusCode: 403, message: 'You do not have permission to update this booking' });
+        continue;
+      }
+
+      try {
+        const outcome = await applyBulkAction(existingBooking, req.body, user);
+        if (outcome.error) {
+          results.push({ id, success: false, statusCode: outcome.error.statusCode, message: outcome.error.message });
+        } else {
+          results.push({ id, success: true, booking: outcome.booking, warnings: outcome.warnings });
+        }
+      } catch (error) {
+        if (error.code === 'SLOT_FULL') {
+          results.push({ id, success: false, statusCode: 409, message: error.message });
+        } else if (error.code === 'P2002') {
+          results.push({ id, success: false, statusCode: 409, message: 'Studio number conflict occurred. Please try again.' });
+        } else {
+          console.error(`Bulk ${action} error for booking ${id}:`, error);
+          results.push({ id, success: false, statusCode: 500, message: 'Internal server error' });
+        }
+      }
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+
+    return successResponse(
+      res,
+      { results, succeeded, failed: results.length - succeeded },
+      `${succeeded} of ${results.length} booking(s) updated`,
+      200
+    );
+  } catch (error) {
+    console.error('Bulk update bookings error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Delete a booking (soft delete)
+ * The booking is hidden from everyone except admin and can be restored until
+ * the retention purge removes it for good. Its studio number is released.
+ */
+const deleteBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const user = req.user;
+    const reason = req.body?.reason ? req.body.reason.trim() : null;
+
+    // Check if booking exists
+    const existingBooking = await prisma.booking.findUnique({
+      where: { id, deletedAt: null },
+    });
+
+    if (!existingBooking) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    // Check if user has permission to delete this booking
+    // ADMIN, CUSTOMER_SERVICE, STUDIO, and SALES can delete any booking
+    // Sales persons can only delete their own bookings
+    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && existingBooking.salesPersonId !== user.id) {
+      return errorResponse(res, 'You do not have permission to delete this booking', 403);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await softDeleteBooking(tx, existingBooking, user, reason);
+    });
+
+    return successResponse(res, null, 'Booking deleted successfully', 200);
+  } catch (error) {
+    console.error('Delete booking error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Restore a soft-deleted booking (admin only)
+ * The slot must still have room; a released studio number is not given back
+ */
+const restoreBooking = async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.role !== 'ADMIN') {
+      return errorResponse(res, 'Only admin can restore bookings', 403);
+    }
+
+    const { id } = req.params;
+
+    const existingBooking = await prisma.booking.findUnique({
+      where: { id },
+    });
+
+    if (!existingBooking) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    if (!existingBooking.deletedAt) {
+      return errorResponse(res, 'Booking is not deleted', 409);
+    }
+
+    const restoredBooking = await prisma.$transaction(async (tx) => {
+      // Someone else may have taken the slot since the booking was deleted
+      await assertSlotAvailable(tx, existingBooking, id);
+
+      const updated = await tx.booking.update({
+        where: { id },
+        data: {
+          deletedAt: null,
+          deletedById: null,
+          deletionReason: null,
+          version: { increment: 1 },
+        },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'RESTORED',
+        actor: user,
+        before: existingBooking,
+        after: updated,
+      });
+
+      return updated;
+    });
+
+    return successResponse(
+      res,
+      { booking: restoredBooking },
+      'Booking restored successfully',
+      200
+    );
+  } catch (error) {
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
+    console.error('Restore booking error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Allocate studio number to a booking (unique per location, following its studio number policy)
+ */
+const allocateStudioNumber = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Allocation runs in a serializable transaction and retries on conflicts
+    const { booking, location, studioNumber } = await allocateStudioNumberForBooking(id, req.user);
+
+    // Format the studio number with location code
+    const studioNumberDisplay = location.code 
+      ? `${location.code}-${studioNumber}` 
+      : `${studioNumber}`;
+
+    return successResponse(
+      res,
+      { 
+        booking: {
+          ...booking,
+          location: location,
+        }
+      },
+      `Studio number ${studioNumberDisplay} allocated successfully`,
+      200
+    );
+  } catch (error) {
+    if (error.code === 'SLOT_FULL') {
+      return slotFullResponse(res, error);
+    }
+
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    console.error('Allocate studio number error:', error);
+    
+    // Still conflicting after all retries
+    if (error.code === 'P2002' || error.code === 'P2034') {
+      return errorResponse(res, 'Studio number conflict occurred. Please try again.', 409);
+    }
+    
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Release a booking's studio number (ADMIN, CUSTOMER_SERVICE and STUDIO)
+ * The number stays in the location's history with the reason
+ */
+const releaseStudioNumber = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (!STUDIO_NUMBER_MANAGER_ROLES.includes(req.user.role)) {
+      return errorResponse(res, 'You do not have permission to release studio numbers', 403);
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { booking, location, releasedNumber } = await releaseStudioNumberForBooking(id, req.user, reason.trim());
+
+    const studioNumberDisplay = location.code
+      ? `${location.code}-${releasedNumber}`
+      : `${releasedNumber}`;
+
+    return successResponse(
+      res,
+      {
+        booking: {
+          ...booking,
+          location: location,
+        },
+        releasedNumber,
+      },
+      `Studio number ${studioNumberDisplay} released successfully`,
+      200
+    );
+  } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    console.error('Release studio number error:', error);
+
+    if (error.code === 'P2002' || error.code === 'P2034') {
+      return errorResponse(res, 'Studio number conflict occurred. Please try again.', 409);
+    }
+
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Give a booking a different studio number (ADMIN, CUSTOMER_SERVICE and STUDIO)
+ * Uses the requested number when given, otherwise the next one under the location's policy
+ */
+const reassignStudioNumber = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (!STUDIO_NUMBER_MANAGER_ROLES.includes(req.user.role)) {
+      return errorResponse(res, 'You do not have permission to reassign studio numbers', 403);
+    }
+
+    const { id } = req.params;
+    const { reason, studioNumber: requestedNumber } = req.body;
+
+    const { booking, location, studioNumber, releasedNumber } = await reassignStudioNumberForBooking(
+      id,
+      req.user,
+      reason.trim(),
+      requestedNumber !== undefined && requestedNumber !== null ? parseInt(requestedNumber) : undefined
+    );
+
+    const studioNumberDisplay = location.code
+      ? `${location.code}-${studioNumber}`
+      : `${studioNumber}`;
+
+    return successResponse(
+      res,
+      {
+        booking: {
+          ...booking,
+          location: location,
+        },
+        releasedNumber,
+      },
+      `Studio number ${studioNumberDisplay} assigned successfully`,
+      200
+    );
+  } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    console.error('Reassign studio number error:', error);
+
+    if (error.code === 'P2002' || error.code === 'P2034') {
+      return errorResponse(res, 'Studio number conflict occurred. Please try again.', 409);
+    }
+
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Save consent form signature for a booking
+ * Records the consent form version shown to the customer (defaults to the
+ * current version), the signer's name, when they signed and their answer
+ * to the permission checkbox
+ */
+const saveConsentFormSignature = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const { signature, consentFormVersionId, signerName, marketingPermission } = req.body; // signature: Base64 data URL
+
+    // Check if booking exists
+    const existingBooking = await prisma.booking.findUnique({
+      where: { id, deletedAt: null },
+    });
+
+    if (!existingBooking) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    const consentFormVersion = consentFormVersionId
+      ? await prisma.consentFormVersion.findUnique({ where: { id: consentFormVersionId } })
+      : await getCurrentConsentFormVersion(prisma);
+
+    if (!consentFormVersion) {
+      return errorResponse(res, 'Consent form version not found', 404);
+    }
+
+    // Validate the image, trim whitespace around the signature and hash it
+    let signatureImage;
+    try {
+      signatureImage = await processSignatureImage(signature);
+    } catch (imageError) {
+      return errorResponse(res, imageError.message, imageError.status || 400);
     }
 
     // Save signature image
-    const { saveBase64Image } = require('../utils/fileStorage');
     let signaturePath;
     try {
-      signaturePath = saveBase64Image(signature, `booking_${id}`);
+      signaturePath = await saveBuffer(signatureImage.buffer, `booking_${id}`, 'png');
     } catch (fileError) {
       console.error('File storage error:', fileError);
       return errorResponse(res, `Failed to save signature: ${fileError.message}`, 500);
     }
 
     // Update booking with signature path and mark consent form as signed
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: {
-        signaturePath,
-        consentFormSigned: true,
-      },
-      select: {
-        id: true,
-        customerName: true,
-        phoneNumber: true,
-        sessionDate: true,
-        sessionTime: true,
-        status: true,
-        studioNumber: true,
-        signaturePath: true,
-        consentFormSigned: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      const updated = await tx.booking.update({
+        where: { id },
+        data: {
+          signaturePath,
+          signatureHash: signatureImage.hash,
+          consentFormSigned: true,
+          consentFormVersionId: consentFormVersion.id,
+          consentSignedAt: new Date(),
+          consentSignerName: signerName || existingBooking.customerName,
+          marketingPermission: marketingPermission ?? null,
+          version: { increment: 1 },
+        },
+        select: {
+          id: true,
+          customerName: true,
+          phoneNumber: true,
+          sessionDate: true,
+          sessionTime: true,
+          status: true,
+          studioNumber: true,
+          signaturePath: true,
+          signatureHash: true,
+          consentFormSigned: true,
+          consentFormVersionId: true,
+          consentSignedAt: true,
+          consentSignerName: true,
+          marketingPermission: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'CONSENT_FORM_SIGNED',
+        actor: req.user,
+        before: existingBooking,
+        after: updated,
+        note: `Consent form version ${consentFormVersion.version}`,
+      });
+
+      // Keep the customer's marketing preference in line with their latest answer
+      if (existingBooking.customerId && typeof marketingPermission === 'boolean') {
+        await tx.customer.update({
+          where: { id: existingBooking.customerId },
+          data: { marketingConsent: marketingPermission },
+        });
+      }
+
+      return updated;
     });
 
+    // Delete old signature file once the booking points to the new one
+    if (existingBooking.signaturePath) {
+      await deleteFile(existingBooking.signaturePath);
+    }
+
     return successResponse(
       res,
-      { booking: updatedBooking },
+      { booking: updatedBooking, consentFormVersion },
       'Consent form signature saved successfully',
       200
     );
@@ -849,6 +2098,363 @@ const saveConsentFormSignature = async (req, res) => {
   }
 };
 
+/**
+ * Render the signed consent form of a booking as a PDF
+ * Contains the consent form version the customer signed, their details, the
+ * permission answer and the signature
+ * @param {object} booking - Booking with a signed consent form
+ * @returns {Promise<Buffer>}
+ */
+const buildConsentFormPdf = async (booking) => {
+  const [location, recordedVersion] = await Promise.all([
+    booking.locationId
+      ? prisma.location.findUnique({
+        where: { id: booking.locationId },
+        select: { name: true, code: true },
+      })
+      : null,
+    booking.consentFormVersionId
+      ? prisma.consentFormVersion.findUnique({ where: { id: booking.consentFormVersionId } })
+      : null,
+  ]);
+
+  const signature = booking.signaturePath ? await readFile(booking.signaturePath) : null;
+
+  return renderConsentPdf({
+    booking,
+    location,
+    consentFormVersion: recordedVersion || await getCurrentConsentFormVersion(prisma),
+    versionRecorded: !!recordedVersion,
+    signature,
+    signatureVerified: signature && booking.signatureHash
+      ? hashSignature(signature) === booking.signatureHash
+      : null,
+  });
+};
+
+/**
+ * Download the signed consent form as a PDF
+ */
+const getConsentFormPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const booking = await prisma.booking.findUnique({
+      where: { id, deletedAt: null },
+    });
+
+    if (!booking) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    // Same access as viewing the booking
+    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
+      return errorResponse(res, 'You do not have permission to view this booking', 403);
+    }
+
+    if (!booking.consentFormSigned) {
+      return errorResponse(res, 'Consent form has not been signed for this booking', 404);
+    }
+
+    const pdf = await buildConsentFormPdf(booking);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="consent-${id}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Get consent form PDF error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Store the signed consent form PDF alongside the signature (ADMIN, CUSTOMER_SERVICE and STUDIO)
+ * Replaces any earlier archived copy
+ */
+const archiveConsentFormPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    if (!CONSENT_ARCHIVE_ROLES.includes(user.role)) {
+      return errorResponse(res, 'You do not have permission to archive consent forms', 403);
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id, deletedAt: null },
+    });
+
+    if (!booking) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    if (!booking.consentFormSigned) {
+      return errorResponse(res, 'Consent form has not been signed for this booking', 404);
+    }
+
+    const pdf = await buildConsentFormPdf(booking);
+    const consentPdfPath = await saveBuffer(pdf, `booking_${id}_consent`, 'pdf');
+
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      const updated = await tx.booking.update({
+        where: { id },
+        data: { consentPdfPath, version: { increment: 1 } },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'UPDATED',
+        actor: user,
+        before: booking,
+        after: updated,
+        note: 'Consent PDF archived',
+      });
+
+      return updated;
+    });
+
+    if (booking.consentPdfPath) {
+      await deleteFile(booking.consentPdfPath);
+    }
+
+    res.set('ETag', bookingETag(updatedBooking));
+    return successResponse(
+      res,
+      { booking: updatedBooking },
+      'Consent PDF archived successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Archive consent form PDF error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Find a booking whose signature the current request may see
+ * Signed URLs grant access on their own; otherwise the user needs the same
+ * access as for viewing the booking (deleted bookings: admin only)
+ * @returns {Promise<{ booking?: object, error?: { message: string, statusCode: number } }>}
+ */
+const findBookingForSignature = async (req) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!booking || (booking.deletedAt && (req.signedUrl || req.user.role !== 'ADMIN'))) {
+    return { error: { message: 'Booking not found', statusCode: 404 } };
+  }
+
+  const user = req.user;
+  if (!req.signedUrl && user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
+    return { error: { message: 'You do not have permission to view this booking', statusCode: 403 } };
+  }
+
+  if (!booking.signaturePath) {
+    return { error: { message: 'No signature saved for this booking', statusCode: 404 } };
+  }
+
+  return { booking };
+};
+
+/**
+ * Get the signature image of a booking
+ * Requires a login, or a signed URL from getSignatureUrl
+ */
+const getSignature = async (req, res) => {
+  try {
+    const { booking, error } = await findBookingForSignature(req);
+    if (error) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+
+    const file = await readFile(booking.signaturePath);
+    if (!file) {
+      return errorResponse(res, 'Signature file not found', 404);
+    }
+
+    res.setHeader('Content-Type', detectImageType(file)?.mimeType || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(file);
+  } catch (error) {
+    console.error('Get signature error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get a short-lived signed URL for the signature image, for use in <img> tags
+ */
+const getSignatureUrl = async (req, res) => {
+  try {
+    const { error } = await findBookingForSignature(req);
+    if (error) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+
+    const { url, expiresAt } = createSignedUrl(`${req.baseUrl}/${req.params.id}/signature`);
+    return successResponse(res, { url, expiresAt }, 'Signature URL created');
+  } catch (error) {
+    console.error('Get signature URL error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Merge a duplicate booking into this one (admin only)
+ * Notes and payments are combined; signature and studio number are taken
+ * from the duplicate when this booking has none. The duplicate is then soft-deleted.
+ */
+const mergeBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const user = req.user;
+    if (user.role !== 'ADMIN') {
+      return errorResponse(res, 'Only admin can merge bookings', 403);
+    }
+
+    const { id } = req.params;
+    const { duplicateId } = req.body;
+
+    if (id === duplicateId) {
+      return errorResponse(res, 'A booking cannot be merged into itself', 400);
+    }
+
+    const [target, duplicate] = await Promise.all([
+      prisma.booking.findUnique({ where: { id, deletedAt: null } }),
+      prisma.booking.findUnique({ where: { id: duplicateId, deletedAt: null } }),
+    ]);
+
+    if (!target) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+    if (!duplicate) {
+      return errorResponse(res, 'Duplicate booking not found', 404);
+    }
+
+    const joinNotes = (a, b) => [a, b].filter((n) => n && n.trim()).join('\n\n') || null;
+
+    const mergeData = {
+      notes: joinNotes(target.notes, duplicate.notes),
+      studioNotes: joinNotes(target.studioNotes, duplicate.studioNotes),
+    };
+
+    const takeSignature = !target.signaturePath && !!duplicate.signaturePath;
+    if (takeSignature) {
+      mergeData.signaturePath = duplicate.signaturePath;
+      mergeData.signatureHash = duplicate.signatureHash;
+      mergeData.consentFormSigned = duplicate.consentFormSigned;
+      mergeData.consentFormVersionId = duplicate.consentFormVersionId;
+      mergeData.consentSignedAt = duplicate.consentSignedAt;
+      mergeData.consentSignerName = duplicate.consentSignerName;
+      mergeData.marketingPermission = duplicate.marketingPermission;
+    }
+
+    const takeStudioNumber = target.studioNumber === null
+      && duplicate.studioNumber !== null
+      && duplicate.locationId === target.locationId;
+    if (takeStudioNumber) {
+      mergeData.studioNumber = duplicate.studioNumber;
+      mergeData.studioNumberScope = duplicate.studioNumberScope;
+    }
+
+    const mergedBooking = await prisma.$transaction(async (tx) => {
+      // Payments follow the customer to the kept booking
+      const { count: movedPayments } = await tx.payment.updateMany({
+        where: { bookingId: duplicateId },
+        data: { bookingId: id },
+      });
+      if (movedPayments > 0) {
+        await syncPaymentMethod(tx, id);
+      }
+
+      // The number's history moves with it; otherwise the duplicate's number is released
+      if (takeStudioNumber) {
+        await tx.studioNumberAssignment.updateMany({
+          where: { bookingId: duplicateId, releasedAt: null },
+          data: { bookingId: id },
+        });
+      }
+
+      await softDeleteBooking(tx, duplicate, user, `Merged into booking ${id}`, {
+        numberMoved: takeStudioNumber,
+      });
+
+      const updated = await tx.booking.update({
+        where: { id },
+        data: { ...mergeData, version: { increment: 1 } },
+      });
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'MERGED',
+        actor: user,
+        before: target,
+        after: updated,
+        note: `Merged booking ${duplicateId}`,
+      });
+
+      return updated;
+    });
+
+    return successResponse(
+      res,
+      { booking: mergedBooking, mergedBookingId: duplicateId },
+      'Bookings merged successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Merge bookings error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get the change history (audit trail) of a booking
+ */
+const getBookingHistoryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      select: { id: true, salesPersonId: true, deletedAt: true },
+    });
+
+    // History of deleted bookings is only available to admin
+    if ((!booking || booking.deletedAt) && user.role !== 'ADMIN') {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    // Same visibility rule as getBookingById
+    if (booking && user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
+      return errorResponse(res, 'You do not have permission to view this booking', 403);
+    }
+
+    const events = await getBookingHistory(id);
+
+    if (!booking && events.length === 0) {
+      return errorResponse(res, 'Booking not found', 404);
+    }
+
+    return successResponse(
+      res,
+      { events },
+      'Booking history retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
 /**
  * Get booking statistics grouped by sales person
  * Returns sales persons with their booking counts (today or total)
@@ -860,6 +2466,7 @@ const getBookingsBySalesPerson = async (req, res) => {
 
     // Build where clause
     const where = {
+      deletedAt: null,
       // Exclude NOT_PAID bookings
       paymentMethod: {
         not: 'NOT_PAID',
@@ -960,12 +2567,27 @@ const getBookingsBySalesPerson = async (req, res) => {
 
 module.exports = {
   createBooking,
+  importBookings,
   getBookings,
+  searchBookings,
+  exportBookings,
   getBookingById,
   updateBooking,
+  transitionBookingStatus,
+  rescheduleBooking,
+  bulkUpdateBookings,
   deleteBooking,
+  restoreBooking,
   allocateStudioNumber,
+  releaseStudioNumber,
+  reassignStudioNumber,
   saveConsentFormSignature,
+  getConsentFormPdf,
+  archiveConsentFormPdf,
+  getSignature,
+  getSignatureUrl,
+  getBookingHistoryById,
+  mergeBookings,
   getBookingsBySalesPerson,
 };
 
@@ -0,0 +1,124 @@
+const { validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const { successResponse, errorResponse } = require('../utils/response');
+const { normalizePhoneNumber } = require('../utils/customer');
+
+/**
+ * Get a customer with all their bookings across locations
+ * Sales persons only see the bookings they created
+ */
+const getCustomerById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id },
+    });
+
+    if (!customer) {
+      return errorResponse(res, 'Customer not found', 404);
+    }
+
+    const where = { customerId: id, deletedAt: null };
+    if (user.role === 'SALES_PERSON') {
+      where.salesPersonId = user.id;
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (user.role === 'SALES_PERSON' && bookings.length === 0) {
+      return errorResponse(res, 'You do not have permission to view this customer', 403);
+    }
+
+    // Enrich bookings with location and sales person details
+    const locationIds = [...new Set(bookings.map((b) => b.locationId).filter(Boolean))];
+    const salesPersonIds = [...new Set(bookings.map((b) => b.salesPersonId).filter(Boolean))];
+
+    const [locations, salesPersons] = await Promise.all([
+      prisma.location.findMany({
+        where: { id: { in: locationIds } },
+        select: { id: true, name: true, code: true },
+      }),
+      prisma.user.findMany({
+        where: { id: { in: salesPersonIds } },
+        select: { id: true, name: true, email: true },
+      }),
+    ]);
+
+    const locationMap = new Map(locations.map((l) => [l.id, l]));
+    const salesPersonMap = new Map(salesPersons.map((sp) => [sp.id, sp]));
+
+    const bookingsWithDetails = bookings.map((booking) => ({
+      ...booking,
+      location: booking.locationId ? locationMap.get(booking.locationId) || null : null,
+      salesPerson: salesPersonMap.get(booking.salesPersonId) || null,
+    }));
+
+    return successResponse(
+      res,
+      { customer: { ...customer, bookings: bookingsWithDetails } },
+      'Customer retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Get customer by ID error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Update customer details (admin and customer service only)
+ */
+const updateCustomer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const user = req.user;
+    if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE') {
+      return errorResponse(res, 'You do not have permission to update customers', 403);
+    }
+
+    const { id } = req.params;
+    const { name, emergencyPhoneNumber, marketingConsent, notes } = req.body;
+
+    const existingCustomer = await prisma.customer.findUnique({
+      where: { id },
+    });
+
+    if (!existingCustomer) {
+      return errorResponse(res, 'Customer not found', 404);
+    }
+
+    const updateData = {};
+    if (name) updateData.name = name.trim();
+    if (emergencyPhoneNumber !== undefined) {
+      updateData.emergencyPhoneNumber = emergencyPhoneNumber
+        ? normalizePhoneNumber(emergencyPhoneNumber)
+        : null;
+    }
+    if (marketingConsent !== undefined) updateData.marketingConsent = marketingConsent;
+    if (notes !== undefined) updateData.notes = notes || null;
+
+    const customer = await prisma.customer.update({
+      where: { id },
+      data: updateData,
+    });
+
+    return successResponse(res, { customer }, 'Customer updated successfully', 200);
+  } catch (error) {
+    console.error('Update customer error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+module.exports = {
+  getCustomerById,
+  updateCustomer,
+};
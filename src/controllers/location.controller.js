@@ -2,6 +2,11 @@ const { validationResult } = require("express-validator");
 const prisma = require("../config/database");
 const { successResponse, errorResponse } = require("../utils/response");
 const { generateLocationCode } = require("../utils/locationCode");
+const {
+  getLocationCapacities,
+  countBookingsBySlot,
+} = require("../utils/slotCapacity");
+const { getSlotTimesForDates } = require("../utils/slotTimes");
 
 /**
  * Create a new location (admin only)
@@ -19,7 +24,7 @@ const createLocation = async (req, res) => {
       return errorResponse(res, "Only admin can create locations", 403);
     }
 
-    const { name, salesPersonIds, dates } = req.body;
+    const { name, salesPersonIds, dates, slotCapacity, studioNumberPolicy } = req.body;
 
     // Validate salesPersonIds is an array
     if (!Array.isArray(salesPersonIds) || salesPersonIds.length === 0) {
@@ -97,6 +102,8 @@ const createLocation = async (req, res) => {
         code: code,
         salesPersonIds: salesPersonIds,
         dates: dates,
+        ...(slotCapacity !== undefined && { slotCapacity: parseInt(slotCapacity) }),
+        ...(studioNumberPolicy !== undefined && { studioNumberPolicy }),
       },
     });
 
@@ -272,7 +279,7 @@ const updateLocation = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, salesPersonIds, dates } = req.body;
+    const { name, salesPersonIds, dates, slotCapacity, studioNumberPolicy } = req.body;
 
     // Check if location exists
     const existingLocation = await prisma.location.findUnique({
@@ -365,6 +372,15 @@ const updateLocation = async (req, res) => {
       updateData.dates = dates;
     }
 
+    if (slotCapacity !== undefined) {
+      updateData.slotCapacity = parseInt(slotCapacity);
+    }
+
+    // Only affects numbers allocated from now on
+    if (studioNumberPolicy !== undefined) {
+      updateData.studioNumberPolicy = studioNumberPolicy;
+    }
+
     // Update location
     const updatedLocation = await prisma.location.update({
       where: { id },
@@ -446,10 +462,274 @@ const deleteLocation = async (req, res) => {
   }
 };
 
+/**
+ * Get slot capacities for a location (all authenticated users can view)
+ */
+const getSlotCapacities = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+      select: { id: true, slotCapacity: true },
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found", 404);
+    }
+
+    const overrides = await prisma.slotCapacity.findMany({
+      where: { locationId: id },
+      orderBy: { time: "asc" },
+    });
+
+    return successResponse(
+      res,
+      { defaultCapacity: location.slotCapacity, slotCapacities: overrides },
+      "Slot capacities retrieved successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Get slot capacities error:", error);
+    return errorResponse(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Replace slot capacities for a location (admin only)
+ * Times not listed fall back to the location's default capacity
+ */
+const updateSlotCapacities = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (req.user.role !== "ADMIN") {
+      return errorResponse(res, "Only admin can update slot capacities", 403);
+    }
+
+    const { id } = req.params;
+    const { defaultCapacity, slotCapacities } = req.body;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found", 404);
+    }
+
+    const times = slotCapacities.map((s) => s.time);
+    if (new Set(times).size !== times.length) {
+      return errorResponse(res, "Each time can only be listed once", 400);
+    }
+
+    const [updatedLocation, , , overrides] = await prisma.$transaction([
+      prisma.location.update({
+        where: { id },
+        data: defaultCapacity !== undefined ? { slotCapacity: parseInt(defaultCapacity) } : {},
+        select: { slotCapacity: true },
+      }),
+      prisma.slotCapacity.deleteMany({
+        where: { locationId: id },
+      }),
+      prisma.slotCapacity.createMany({
+        data: slotCapacities.map((s) => ({
+          locationId: id,
+          time: s.time,
+          capacity: parseInt(s.capacity),
+        })),
+      }),
+      prisma.slotCapacity.findMany({
+        where: { locationId: id },
+        orderBy: { time: "asc" },
+      }),
+    ]);
+
+    return successResponse(
+      res,
+      { defaultCapacity: updatedLocation.slotCapacity, slotCapacities: overrides },
+      "Slot capacities updated successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Update slot capacities error:", error);
+    return errorResponse(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Get slot availability for a location (all authenticated users can view)
+ * Returns, per scheduled date, every session time and special request time
+ * with its capacity, booked count and remaining spots
+ */
+const getLocationAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+      select: { id: true, name: true, code: true, dates: true },
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found", 404);
+    }
+
+    // ISO date strings compare correctly
+    const dates = [...location.dates]
+      .filter((date) => (!from || date >= from) && (!to || date <= to))
+      .sort();
+
+    const [sessionTimes, specialRequestTimes, { defaultCapacity, capacities }, counts] =
+      await Promise.all([
+        getSlotTimesForDates(prisma, id, dates, "SESSION"),
+        getSlotTimesForDates(prisma, id, dates, "SPECIAL_REQUEST"),
+        getLocationCapacities(prisma, id),
+        countBookingsBySlot(prisma, id, dates),
+      ]);
+
+    const buildSlots = (times, dateCounts) =>
+      times.map((time) => {
+        const capacity = capacities.get(time) ?? defaultCapacity;
+        const booked = dateCounts.get(time) || 0;
+        return {
+          time,
+          capacity,
+          booked,
+          remaining: Math.max(capacity - booked, 0),
+        };
+      });
+
+    const availability = dates.map((date) => ({
+      date,
+      sessionTimes: buildSlots(sessionTimes.get(date).times, counts.get(date)),
+      specialRequestTimes: buildSlots(specialRequestTimes.get(date).times, counts.get(date)),
+    }));
+
+    return successResponse(
+      res,
+      {
+        location: { id: location.id, name: location.name, code: location.code },
+        availability,
+      },
+      "Availability retrieved successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Get location availability error:", error);
+    return errorResponse(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Get studio number history for a location
+ * Lists every booking that has held a studio number, including released ones
+ * Optional filters: ?number= and ?date= (per-day scope or the booking's session date)
+ */
+const getStudioNumberHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const { number, date } = req.query;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+      select: { id: true, name: true, code: true, studioNumberPolicy: true },
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found", 404);
+    }
+
+    const where = { locationId: id };
+    if (number) {
+      where.studioNumber = parseInt(number);
+    }
+
+    let assignments = await prisma.studioNumberAssignment.findMany({
+      where,
+      orderBy: [{ studioNumber: "asc" }, { assignedAt: "asc" }],
+    });
+
+    const bookingIds = [...new Set(assignments.map((a) => a.bookingId))];
+    const userIds = [
+      ...new Set(
+        assignments.flatMap((a) => [a.assignedById, a.releasedById]).filter(Boolean)
+      ),
+    ];
+
+    const [bookings, users] = await Promise.all([
+      prisma.booking.findMany({
+        where: { id: { in: bookingIds } },
+        select: {
+          id: true,
+          customerName: true,
+          phoneNumber: true,
+          sessionDate: true,
+          sessionTime: true,
+          status: true,
+          studioNumber: true,
+          deletedAt: true,
+        },
+      }),
+      prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, name: true, email: true },
+      }),
+    ]);
+
+    const bookingMap = new Map(bookings.map((b) => [b.id, b]));
+    const userMap = new Map(users.map((u) => [u.id, u]));
+
+    if (date) {
+      assignments = assignments.filter(
+        (a) => a.scope === date || bookingMap.get(a.bookingId)?.sessionDate === date
+      );
+    }
+
+    const history = assignments.map((assignment) => ({
+      ...assignment,
+      studioNumberDisplay: location.code
+        ? `${location.code}-${assignment.studioNumber}`
+        : `${assignment.studioNumber}`,
+      booking: bookingMap.get(assignment.bookingId) || null, // null once the booking is purged
+      assignedBy: userMap.get(assignment.assignedById) || null,
+      releasedBy: userMap.get(assignment.releasedById) || null,
+    }));
+
+    return successResponse(
+      res,
+      { location, history },
+      "Studio number history retrieved successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Get studio number history error:", error);
+    return errorResponse(res, "Internal server error", 500);
+  }
+};
+
 module.exports = {
   createLocation,
   getLocations,
   getLocationById,
   updateLocation,
   deleteLocation,
+  getSlotCapacities,
+  updateSlotCapacities,
+  getLocationAvailability,
+  getStudioNumberHistory,
 };
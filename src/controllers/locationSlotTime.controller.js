@@ -0,0 +1,118 @@
+const { validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const { successResponse, errorResponse } = require('../utils/response');
+const { getSlotTimes } = require('../utils/slotTimes');
+
+const TYPE_LABELS = {
+  SESSION: 'Session times',
+  SPECIAL_REQUEST: 'Special request times',
+};
+
+/**
+ * Get the times that apply to a location (optionally for a specific date)
+ */
+const getTimes = async (req, res, type) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const { date } = req.query;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!location) {
+      return errorResponse(res, 'Location not found', 404);
+    }
+
+    const { times, source } = await getSlotTimes(prisma, id, date || null, type);
+
+    return successResponse(
+      res,
+      { date: date || null, times, source },
+      `${TYPE_LABELS[type]} retrieved successfully`,
+      200
+    );
+  } catch (error) {
+    console.error(`Get location ${type.toLowerCase()} times error:`, error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Replace the location template (no date) or a date override (admin only)
+ * An empty times array removes the set, falling back to the next level
+ */
+const updateTimes = async (req, res, type) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (req.user.role !== 'ADMIN') {
+      return errorResponse(res, `Only admin can update ${TYPE_LABELS[type].toLowerCase()}`, 403);
+    }
+
+    const { id } = req.params;
+    const { date, times } = req.body;
+
+    const location = await prisma.location.findUnique({
+      where: { id },
+      select: { id: true, dates: true },
+    });
+
+    if (!location) {
+      return errorResponse(res, 'Location not found', 404);
+    }
+
+    if (date && !location.dates.includes(date)) {
+      return errorResponse(res, 'Date is not one of the location dates', 400);
+    }
+
+    const uniqueTimes = [...new Set(times.map((time) => time.trim()))].sort();
+
+    await prisma.$transaction([
+      prisma.locationSlotTime.deleteMany({
+        where: { locationId: id, type, date: date || null },
+      }),
+      prisma.locationSlotTime.createMany({
+        data: uniqueTimes.map((time) => ({
+          locationId: id,
+          date: date || null,
+          type,
+          time,
+        })),
+      }),
+    ]);
+
+    const resolved = await getSlotTimes(prisma, id, date || null, type);
+
+    return successResponse(
+      res,
+      { date: date || null, times: resolved.times, source: resolved.source },
+      `${TYPE_LABELS[type]} updated successfully`,
+      200
+    );
+  } catch (error) {
+    console.error(`Update location ${type.toLowerCase()} times error:`, error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+const getLocationSessionTimes = (req, res) => getTimes(req, res, 'SESSION');
+const updateLocationSessionTimes = (req, res) => updateTimes(req, res, 'SESSION');
+const getLocationSpecialRequestTimes = (req, res) => getTimes(req, res, 'SPECIAL_REQUEST');
+const updateLocationSpecialRequestTimes = (req, res) => updateTimes(req, res, 'SPECIAL_REQUEST');
+
+module.exports = {
+  getLocationSessionTimes,
+  updateLocationSessionTimes,
+  getLocationSpecialRequestTimes,
+  updateLocationSpecialRequestTimes,
+};
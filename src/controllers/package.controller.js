@@ -0,0 +1,183 @@
+const { validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Create a new package (admin only)
+ */
+const createPackage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (req.user.role !== 'ADMIN') {
+      return errorResponse(res, 'Only admin can create packages', 403);
+    }
+
+    const { name, price, durationMinutes, maxPeople, active } = req.body;
+
+    const existingPackage = await prisma.package.findFirst({
+      where: { name: { equals: name.trim(), mode: 'insensitive' } },
+    });
+
+    if (existingPackage) {
+      return errorResponse(res, 'Package already exists', 400);
+    }
+
+    const pkg = await prisma.package.create({
+      data: {
+        name: name.trim(),
+        price: String(price),
+        durationMinutes: parseInt(durationMinutes),
+        maxPeople: maxPeople ? parseInt(maxPeople) : null,
+        active: active !== undefined ? active : true,
+      },
+    });
+
+    return successResponse(res, { package: pkg }, 'Package created successfully', 201);
+  } catch (error) {
+    console.error('Create package error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get all packages (all authenticated users can view)
+ * - Admin: sees all packages, or only active ones with ?active=true
+ * - Other roles: see only active packages
+ */
+const getPackages = async (req, res) => {
+  try {
+    const onlyActive = req.user.role !== 'ADMIN' || req.query.active === 'true';
+
+    const packages = await prisma.package.findMany({
+      where: onlyActive ? { active: true } : {},
+      orderBy: { name: 'asc' },
+    });
+
+    return successResponse(res, { packages }, 'Packages retrieved successfully', 200);
+  } catch (error) {
+    console.error('Get packages error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Update a package (admin only)
+ * Price changes only apply to new sales - existing bookings keep their snapshot
+ */
+const updatePackage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    if (req.user.role !== 'ADMIN') {
+      return errorResponse(res, 'Only admin can update packages', 403);
+    }
+
+    const { id } = req.params;
+    const { name, price, durationMinutes, maxPeople, active } = req.body;
+
+    const existingPackage = await prisma.package.findUnique({
+      where: { id },
+    });
+
+    if (!existingPackage) {
+      return errorResponse(res, 'Package not found', 404);
+    }
+
+    const updateData = {};
+    if (name !== undefined) {
+      const duplicatePackage = await prisma.package.findFirst({
+        where: {
+          name: { equals: name.trim(), mode: 'insensitive' },
+          id: { not: id },
+        },
+      });
+      if (duplicatePackage) {
+        return errorResponse(res, 'Package already exists', 400);
+      }
+      updateData.name = name.trim();
+    }
+    if (price !== undefined) updateData.price = String(price);
+    if (durationMinutes !== undefined) updateData.durationMinutes = parseInt(durationMinutes);
+    if (maxPeople !== undefined) updateData.maxPeople = maxPeople ? parseInt(maxPeople) : null;
+    if (active !== undefined) updateData.active = active;
+
+    const pkg = await prisma.$transaction(async (tx) => {
+      const updated = await tx.package.update({
+        where: { id },
+        data: updateData,
+      });
+
+      // Bookings store the package name as their photoshoot type
+      if (updateData.name && updateData.name !== existingPackage.name) {
+        await tx.booking.updateMany({
+          where: { packageId: id },
+          data: { photoshootType: updateData.name, version: { increment: 1 } },
+        });
+      }
+
+      return updated;
+    });
+
+    return successResponse(res, { package: pkg }, 'Package updated successfully', 200);
+  } catch (error) {
+    console.error('Update package error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Delete a package (admin only)
+ * Packages that have been sold can only be deactivated
+ */
+const deletePackage = async (req, res) => {
+  try {
+    if (req.user.role !== 'ADMIN') {
+      return errorResponse(res, 'Only admin can delete packages', 403);
+    }
+
+    const { id } = req.params;
+
+    const existingPackage = await prisma.package.findUnique({
+      where: { id },
+    });
+
+    if (!existingPackage) {
+      return errorResponse(res, 'Package not found', 404);
+    }
+
+    const bookingCount = await prisma.booking.count({
+      where: { packageId: id },
+    });
+
+    if (bookingCount > 0) {
+      return errorResponse(
+        res,
+        'Package has bookings and cannot be deleted. Deactivate it instead.',
+        409
+      );
+    }
+
+    await prisma.package.delete({
+      where: { id },
+    });
+
+    return successResponse(res, null, 'Package deleted successfully', 200);
+  } catch (error) {
+    console.error('Delete package error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+module.exports = {
+  createPackage,
+  getPackages,
+  updatePackage,
+  deletePackage,
+};
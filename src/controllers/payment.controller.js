@@ -0,0 +1,142 @@
+const { validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const { successResponse, errorResponse } = require('../utils/response');
+const { recordBookingEvent } = require('../utils/bookingHistory');
+const {
+  DEFAULT_CURRENCY,
+  getPaidAmounts,
+  buildBalance,
+  syncPaymentMethod,
+} = require('../utils/payments');
+
+/**
+ * Load a booking and check the user may access it
+ * ADMIN, CUSTOMER_SERVICE, STUDIO, and SALES can access any booking
+ * Sales persons can only access their own bookings
+ */
+const findAccessibleBooking = async (id, user) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id, deletedAt: null },
+  });
+
+  if (!booking) {
+    return { error: { message: 'Booking not found', statusCode: 404 } };
+  }
+
+  if (user.role !== 'ADMIN' && user.role !== 'CUSTOMER_SERVICE' && user.role !== 'STUDIO' && user.role !== 'SALES' && booking.salesPersonId !== user.id) {
+    return { error: { message: 'You do not have permission to access this booking', statusCode: 403 } };
+  }
+
+  return { booking };
+};
+
+/**
+ * Record a payment against a booking
+ */
+const createPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, errors.array()[0].msg, 400);
+    }
+
+    const { id } = req.params;
+    const user = req.user;
+    const { amount, method, currency, reference, takenAt } = req.body;
+
+    const { booking, error } = await findAccessibleBooking(id, user);
+    if (error) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+
+    const payment = await prisma.$transaction(async (tx) => {
+      const created = await tx.payment.create({
+        data: {
+          bookingId: id,
+          amount: String(amount),
+          currency: currency ? currency.toUpperCase() : DEFAULT_CURRENCY,
+          method: method.toUpperCase(),
+          takenById: user.id,
+          takenAt: takenAt ? new Date(takenAt) : undefined,
+          reference: reference || null,
+        },
+      });
+
+      // Keep the legacy paymentMethod field in line with the ledger
+      const paymentMethod = await syncPaymentMethod(tx, id);
+
+      await recordBookingEvent(tx, {
+        bookingId: id,
+        type: 'PAYMENT_RECORDED',
+        actor: user,
+        before: { paymentMethod: booking.paymentMethod },
+        after: { paymentMethod },
+        note: `${created.method} payment of ${created.amount.toFixed(2)} ${created.currency}`,
+      });
+
+      return created;
+    });
+
+    const paidAmounts = await getPaidAmounts(prisma, [id]);
+
+    return successResponse(
+      res,
+      { payment, balance: buildBalance(booking, paidAmounts.get(id)) },
+      'Payment recorded successfully',
+      201
+    );
+  } catch (error) {
+    console.error('Create payment error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get all payments for a booking with its balance
+ */
+const getPayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { booking, error } = await findAccessibleBooking(id, req.user);
+    if (error) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+
+    const payments = await prisma.payment.findMany({
+      where: { bookingId: id },
+      orderBy: { takenAt: 'asc' },
+    });
+
+    // Enrich payments with who took them
+    const takenByIds = [...new Set(payments.map((p) => p.takenById))];
+    const users = await prisma.user.findMany({
+      where: { id: { in: takenByIds } },
+      select: { id: true, name: true, email: true },
+    });
+    const userMap = new Map(users.map((u) => [u.id, u]));
+
+    const paidAmounts = await getPaidAmounts(prisma, [id]);
+
+    return successResponse(
+      res,
+      {
+        payments: payments.map((payment) => ({
+          ...payment,
+          takenBy: userMap.get(payment.takenById) || null,
+        })),
+        balance: buildBalance(booking, paidAmounts.get(id)),
+      },
+      'Payments retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Get payments error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+module.exports = {
+  createPayment,
+  getPayments,
+};
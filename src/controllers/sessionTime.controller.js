@@ -55,7 +55,7 @@ const createSessionTime = async (req, res) => {
 };
 
 /**
- * Get all session times (all authenticated users can view)
+ * Get all session times - the global default template (all authenticated users can view)
  */
 const getSessionTimes = async (req, res) => {
   try {
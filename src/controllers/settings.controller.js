@@ -1,31 +1,24 @@
 const prisma = require('../config/database');
 const { successResponse, errorResponse } = require('../utils/response');
-
-const DEFAULT_CONSENT_FORM = {
-  paragraphs: [
-    "I confirm that I am the parent/legal guardian of the child(ren) being photographed and have the authority to consent on their behalf. Portrait Place Studios operates under UK GDPR regulations to ensure the safety, dignity, and privacy of all individuals. All photographs remain the property of Portrait Place Studios until full payment is received. Photographs will only be released to the mother or father of the child(ren). No release will be made to any other individual (relatives, friends, associates) even with written authorization, identification, or video call verification, to protect against data misuse.",
-    "I grant consent for Portrait Place Studios to use photographs (including myself and my child(ren)) for marketing, advertising, social media, website galleries, printed materials, and other promotional activities without further notice. Portrait Place Studios is not responsible for any injury, accident, or loss that may occur during the photoshoot. I remain responsible for supervising my child(ren) at all times. Portrait Place Studios accepts no liability for lost or damaged personal belongings.",
-    "If I do not collect my photographs on the advised date, they will be shredded or permanently destroyed without further notice. As a mobile studio, uncollected photographs cannot be transported back to a base or future locations. I accept full responsibility for collection and waive all claims against Portrait Place Studios for destruction due to non-collection.",
-    "I have read, understood, and agree to all terms of the consent, privacy, collection, and release policy. I accept full responsibility for ensuring only myself or the other parent collects the photographs. I acknowledge that failure to comply may result in refusal to release photographs.",
-  ],
-  permissionText:
-    "I confirmed and allow that the studio may use my photos if required.",
-};
+const {
+  getCurrentConsentFormVersion,
+  publishConsentFormVersion,
+} = require('../utils/consentForm');
 
 const getConsentFormSettings = async (req, res) => {
   try {
-    const setting = await prisma.appSetting.findUnique({
-      where: { key: 'consent_form' },
-    });
-
-    const value = setting?.value || DEFAULT_CONSENT_FORM;
-    return successResponse(res, { consentForm: value }, 'Consent form loaded');
+    const consentForm = await getCurrentConsentFormVersion(prisma);
+    return successResponse(res, { consentForm }, 'Consent form loaded');
   } catch (error) {
     console.error('Get consent form settings error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
 
+/**
+ * Publish new consent form wording
+ * Creates a new version; versions customers already signed are kept unchanged
+ */
 const updateConsentFormSettings = async (req, res) => {
   try {
     const user = req.user;
@@ -51,20 +44,71 @@ const updateConsentFormSettings = async (req, res) => {
       return errorResponse(res, 'Permission text is required', 400);
     }
 
-    const payload = {
-      paragraphs: cleanedParagraphs,
-      permissionText: permissionText.trim(),
-    };
+    const { version, published } = await publishConsentFormVersion(
+      prisma,
+      { paragraphs: cleanedParagraphs, permissionText: permissionText.trim() },
+      user
+    );
+
+    return successResponse(
+      res,
+      { consentForm: version },
+      published ? `Consent form version ${version.version} published` : 'Consent form unchanged',
+      published ? 201 : 200
+    );
+  } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.message, error.status);
+    }
+    console.error('Update consent form settings error:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * List all published consent form versions, newest first (admin only)
+ * Each version includes who published it and how many bookings signed it
+ */
+const getConsentFormVersions = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user || user.role !== 'ADMIN') {
+      return errorResponse(res, 'You do not have permission to view consent form versions', 403);
+    }
+
+    // Make sure the version currently shown to customers is listed
+    await getCurrentConsentFormVersion(prisma);
 
-    const updated = await prisma.appSetting.upsert({
-      where: { key: 'consent_form' },
-      create: { key: 'consent_form', value: payload },
-      update: { value: payload },
+    const versions = await prisma.consentFormVersion.findMany({
+      orderBy: { version: 'desc' },
     });
 
-    return successResponse(res, { consentForm: updated.value }, 'Consent form saved');
+    const publisherIds = [...new Set(versions.map((v) => v.publishedById).filter(Boolean))];
+    const [publishers, signedCounts] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: publisherIds } },
+        select: { id: true, name: true, email: true },
+      }),
+      prisma.booking.groupBy({
+        by: ['consentFormVersionId'],
+        where: { consentFormVersionId: { in: versions.map((v) => v.id) } },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const publisherMap = new Map(publishers.map((u) => [u.id, u]));
+    const signedCountMap = new Map(signedCounts.map((c) => [c.consentFormVersionId, c._count._all]));
+
+    const versionsWithDetails = versions.map((version, index) => ({
+      ...version,
+      current: index === 0,
+      publishedBy: publisherMap.get(version.publishedById) || null,
+      signedCount: signedCountMap.get(version.id) || 0,
+    }));
+
+    return successResponse(res, { versions: versionsWithDetails }, 'Consent form versions loaded');
   } catch (error) {
-    console.error('Update consent form settings error:', error);
+    console.error('Get consent form versions error:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
@@ -72,5 +116,5 @@ const updateConsentFormSettings = async (req, res) => {
 module.exports = {
   getConsentFormSettings,
   updateConsentFormSettings,
+  getConsentFormVersions,
 };
-
@@ -55,7 +55,7 @@ const createSpecialRequestTime = async (req, res) => {
 };
 
 /**
- * Get all special request times (all authenticated users can view)
+ * Get all special request times - the global default template (all authenticated users can view)
  */
 const getSpecialRequestTimes = async (req, res) => {
   try {
@@ -0,0 +1,24 @@
+const authMiddleware = require('./auth');
+const { errorResponse } = require('../utils/response');
+const { verifySignedUrl } = require('../utils/signedUrl');
+
+/**
+ * Allow a request either with a valid signed URL or with a normal login
+ * Sets req.signedUrl when access was granted by the URL signature
+ */
+const signedUrlOrAuth = (req, res, next) => {
+  const { expires, signature } = req.query;
+
+  if (signature === undefined) {
+    return authMiddleware(req, res, next);
+  }
+
+  if (!verifySignedUrl(req.baseUrl + req.path, expires, signature)) {
+    return errorResponse(res, 'Link is invalid or has expired', 403);
+  }
+
+  req.signedUrl = true;
+  next();
+};
+
+module.exports = signedUrlOrAuth;
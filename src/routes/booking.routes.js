@@ -1,123 +1,44 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   createBooking,
+  importBookings,
   getBookings,
+  searchBookings,
+  exportBookings,
   getBookingById,
   updateBooking,
+  transitionBookingStatus,
+  rescheduleBooking,
+  bulkUpdateBookings,
   deleteBooking,
+  restoreBooking,
   allocateStudioNumber,
+  releaseStudioNumber,
+  reassignStudioNumber,
   saveConsentFormSignature,
+  getConsentFormPdf,
+  archiveConsentFormPdf,
+  getSignature,
+  getSignatureUrl,
+  getBookingHistoryById,
+  mergeBookings,
   getBookingsBySalesPerson,
 } = require('../controllers/booking.controller');
+const { createPayment, getPayments } = require('../controllers/payment.controller');
 const authMiddleware = require('../middleware/auth');
+const signedUrlOrAuth = require('../middleware/signedUrl');
+const { createBookingValidation } = require('../utils/bookingValidation');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
+const { findPackageByName } = require('../utils/packages');
+const { EXPORT_FORMATS } = require('../utils/bookingExport');
+const { DEFAULT_CURRENCY } = require('../utils/payments');
 
 const router = express.Router();
 
-// Validation rules for creating bookings (all fields required)
-const createBookingValidation = [
-  body('customerName')
-    .notEmpty()
-    .withMessage('Customer name is required')
-    .trim()
-    .isLength({ min: 1 })
-    .withMessage('Customer name cannot be empty'),
-  body('phoneNumber')
-    .notEmpty()
-    .withMessage('Phone number is required')
-    .custom((value) => {
-      const digits = value.replace(/\D/g, '');
-      if (digits.length !== 11) {
-        throw new Error('Phone number must be exactly 11 digits');
-      }
-      return true;
-    }),
-  body('emergencyPhoneNumber')
-    .optional()
-    .custom((value) => {
-      if (value && value.trim()) {
-        const digits = value.replace(/\D/g, '');
-        if (digits.length !== 11) {
-          throw new Error('Emergency phone number must be exactly 11 digits');
-        }
-      }
-      return true;
-    }),
-  body('photoshootType')
-    .notEmpty()
-    .withMessage('Photoshoot type is required')
-    .isIn(['children', 'family', 'couple', 'maternity'])
-    .withMessage('Invalid photoshoot type'),
-  body('sessionDate')
-    .optional({ nullable: true, checkFalsy: true })
-    .custom((value, { req }) => {
-      // If status is TBC, sessionDate can be null/empty
-      if (req.body.status === 'TBC' && (!value || value === null || value === '')) {
-        return true;
-      }
-      // Otherwise, sessionDate is required
-      if (!value || value === null || value === '') {
-        throw new Error('Session date is required');
-      }
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-        throw new Error('Session date must be in YYYY-MM-DD format');
-      }
-      return true;
-    }),
-  body('sessionTime')
-    .optional({ nullable: true, checkFalsy: true })
-    .custom((value, { req }) => {
-      // If status is TBC, sessionTime can be null/empty
-      if (req.body.status === 'TBC' && (!value || value === null || value === '')) {
-        return true;
-      }
-      // Otherwise, sessionTime is required
-      if (!value || value === null || value === '') {
-        throw new Error('Session time is required');
-      }
-      if (!/^\d{2}:\d{2}$/.test(value)) {
-        throw new Error('Session time must be in HH:MM format');
-      }
-      return true;
-    }),
-  body('specialRequestDate')
-    .optional({ nullable: true, checkFalsy: true })
-    .custom((value) => {
-      // Allow null/empty values
-      if (!value || value === null || value === '') {
-        return true;
-      }
-      // If provided, validate format
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-        throw new Error('Special request date must be in YYYY-MM-DD format');
-      }
-      return true;
-    }),
-  body('specialRequestTime')
-    .optional({ nullable: true, checkFalsy: true })
-    .custom((value) => {
-      // Allow null/empty values
-      if (!value || value === null || value === '') {
-        return true;
-      }
-      // If provided, validate format
-      if (!/^\d{2}:\d{2}$/.test(value)) {
-        throw new Error('Special request time must be in HH:MM format');
-      }
-      return true;
-    }),
-  body('paymentMethod')
-    .notEmpty()
-    .withMessage('Payment method is required')
-    .isIn(['cash', 'card', 'not-paid'])
-    .withMessage('Invalid payment method'),
-  body('status')
-    .optional()
-    .isIn(['BOOKED', 'CONFIRMED', 'TBC', 'CANCELLED', 'NO_ANSWER', 'WLMK', 'VIDEO_CALL'])
-    .withMessage('Invalid status'),
-  body('notes').optional().isString().withMessage('Notes must be a string'),
-  body('locationId').optional().isUUID().withMessage('Invalid location ID'),
-];
+// Bulk actions and the most bookings one request may change
+const BULK_ACTIONS = ['status', 'reschedule', 'reassign', 'collection', 'delete'];
+const MAX_BULK_BOOKINGS = 200;
 
 // Validation rules for updating bookings (all fields optional)
 const updateBookingValidation = [
@@ -150,8 +71,13 @@ const updateBookingValidation = [
     }),
   body('photoshootType')
     .optional()
-    .isIn(['children', 'family', 'couple', 'maternity'])
-    .withMessage('Invalid photoshoot type'),
+    .custom(async (value) => {
+      // Inactive packages are accepted so older bookings can still be edited
+      if (!(await findPackageByName(value, { includeInactive: true }))) {
+        throw new Error('Invalid photoshoot type');
+      }
+      return true;
+    }),
   body('sessionDate')
     .optional({ nullable: true, checkFalsy: true })
     .custom((value) => {
@@ -210,22 +136,318 @@ const updateBookingValidation = [
     .withMessage('Invalid payment method'),
   body('status')
     .optional()
-    .isIn(['BOOKED', 'CONFIRMED', 'TBC', 'CANCELLED', 'NO_ANSWER', 'WLMK', 'VIDEO_CALL'])
+    .isIn(BOOKING_STATUSES)
     .withMessage('Invalid status'),
   body('notes').optional().isString().withMessage('Notes must be a string'),
   body('studioNotes').optional().isString().withMessage('Studio notes must be a string'),
   body('locationId').optional().isUUID().withMessage('Invalid location ID'),
+  body('collectionDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Collection date must be in YYYY-MM-DD format'),
+  body('price')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive amount'),
+  body('overrideSchedule').optional().isBoolean().withMessage('Override schedule must be a boolean'),
+  body('version')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+];
+
+// Validation rules for status transitions
+const transitionBookingValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .customSanitizer((value) => (typeof value === 'string' ? value.toUpperCase() : value))
+    .isIn(BOOKING_STATUSES)
+    .withMessage('Invalid status'),
+  body('cancellationReason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Cancellation reason must be a string'),
+  body('sessionDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Session date must be in YYYY-MM-DD format'),
+  body('sessionTime')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Session time must be in HH:MM format'),
+  body('specialRequestDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Special request date must be in YYYY-MM-DD format'),
+  body('specialRequestTime')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Special request time must be in HH:MM format'),
+  body('overrideSchedule').optional().isBoolean().withMessage('Override schedule must be a boolean'),
+];
+
+// Validation rules for rescheduling bookings (a session slot or a special request slot)
+const rescheduleBookingValidation = [
+  body('sessionDate')
+    .custom((value, { req }) => {
+      if (!value && !req.body.specialRequestDate) {
+        throw new Error('A new session date or special request date is required');
+      }
+      return true;
+    }),
+  body('sessionDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Session date must be in YYYY-MM-DD format'),
+  body('sessionTime')
+    .if((value, { req }) => !req.body.specialRequestDate)
+    .notEmpty()
+    .withMessage('Session time is required')
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Session time must be in HH:MM format'),
+  body('specialRequestDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Special request date must be in YYYY-MM-DD format'),
+  body('specialRequestTime')
+    .if((value, { req }) => !!req.body.specialRequestDate)
+    .notEmpty()
+    .withMessage('Special request time is required')
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Special request time must be in HH:MM format'),
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Reason cannot be empty'),
+  body('overrideSchedule').optional().isBoolean().withMessage('Override schedule must be a boolean'),
+];
+
+// Validation rules for bulk actions
+const bulkUpdateBookingsValidation = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_BOOKINGS })
+    .withMessage(`Between 1 and ${MAX_BULK_BOOKINGS} booking IDs are required`),
+  body('ids.*')
+    .isUUID()
+    .withMessage('Invalid booking ID'),
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('status')
+    .if(body('action').equals('status'))
+    .notEmpty()
+    .withMessage('Status is required')
+    .customSanitizer((value) => (typeof value === 'string' ? value.toUpperCase() : value))
+    .isIn(BOOKING_STATUSES)
+    .withMessage('Invalid status'),
+  body('cancellationReason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Cancellation reason must be a string'),
+  body('date')
+    .if(body('action').equals('reschedule'))
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('days')
+    .if(body('action').equals('reschedule'))
+    .custom((value, { req }) => {
+      if (!req.body.date && (value === undefined || value === null || value === '')) {
+        throw new Error('Either a new date or a number of days is required');
+      }
+      if (!req.body.date && (!Number.isInteger(Number(value)) || Number(value) === 0)) {
+        throw new Error('Days must be a whole number other than 0');
+      }
+      return true;
+    }),
+  body('salesPersonId')
+    .if(body('action').equals('reassign'))
+    .isUUID()
+    .withMessage('Invalid sales person ID'),
+  body('collectionDate')
+    .if(body('action').equals('collection'))
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Collection date must be in YYYY-MM-DD format'),
+  body('collectionTime')
+    .if(body('action').equals('collection'))
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Collection time must be in HH:MM format'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Reason must be text')
+    .trim(),
+  body('overrideSchedule').optional().isBoolean().withMessage('Override schedule must be a boolean'),
+];
+
+// Validation rules for merging bookings
+const mergeBookingsValidation = [
+  body('duplicateId')
+    .notEmpty()
+    .withMessage('Duplicate booking ID is required')
+    .isUUID()
+    .withMessage('Invalid duplicate booking ID'),
+];
+
+// Validation rules for listing bookings
+const listBookingsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive whole number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive whole number'),
+  query('cursor')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Cursor cannot be empty'),
+];
+
+// Validation rules for searching bookings
+const searchBookingsValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Search term must be at least 2 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive whole number'),
+];
+
+// Validation rules for exporting bookings
+const exportBookingsValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From date must be in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To date must be in YYYY-MM-DD format'),
+];
+
+// Validation rules for importing bookings
+const importBookingsValidation = [
+  query('confirm')
+    .optional()
+    .isBoolean()
+    .withMessage('Confirm must be a boolean'),
+];
+
+// Validation rules for deleting bookings
+const deleteBookingValidation = [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Reason must be text')
+    .trim(),
+];
+
+// Validation rules for releasing a studio number
+const releaseStudioNumberValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Reason cannot be empty'),
+];
+
+// Validation rules for reassigning a studio number
+const reassignStudioNumberValidation = [
+  ...releaseStudioNumberValidation,
+  body('studioNumber')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Studio number must be a positive whole number'),
+];
+
+// Validation rules for saving a consent form signature
+const consentFormSignatureValidation = [
+  body('signature')
+    .notEmpty()
+    .withMessage('Signature data is required')
+    .isString()
+    .withMessage('Signature data is required'),
+  body('consentFormVersionId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid consent form version ID'),
+  body('signerName')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Signer name must be a string')
+    .trim(),
+  body('marketingPermission')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('Marketing permission must be a boolean')
+    .toBoolean(),
+];
+
+// Validation rules for recording payments
+const createPaymentValidation = [
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('method')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['cash', 'card'])
+    .withMessage('Invalid payment method'),
+  // Balances are kept in a single currency, so payments must be taken in it
+  body('currency')
+    .optional()
+    .customSanitizer((value) => (typeof value === 'string' ? value.toUpperCase() : value))
+    .isIn([DEFAULT_CURRENCY])
+    .withMessage(`Currency must be ${DEFAULT_CURRENCY}`),
+  body('reference').optional({ nullable: true }).isString().withMessage('Reference must be a string'),
+  body('takenAt').optional().isISO8601().withMessage('Taken at must be a valid date'),
 ];
 
 // Routes
 router.post('/', authMiddleware, createBookingValidation, createBooking);
-router.get('/', authMiddleware, getBookings);
+router.post('/import', authMiddleware, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), importBookingsValidation, importBookings);
+router.get('/', authMiddleware, listBookingsValidation, getBookings);
+router.get('/export', authMiddleware, exportBookingsValidation, exportBookings);
+router.get('/search', authMiddleware, searchBookingsValidation, searchBookings);
 router.get('/stats/by-sales-person', authMiddleware, getBookingsBySalesPerson);
+router.post('/bulk', authMiddleware, bulkUpdateBookingsValidation, bulkUpdateBookings);
 router.get('/:id', authMiddleware, getBookingById);
+router.get('/:id/history', authMiddleware, getBookingHistoryById);
 router.put('/:id', authMiddleware, updateBookingValidation, updateBooking);
-router.delete('/:id', authMiddleware, deleteBooking);
+router.post('/:id/transition', authMiddleware, transitionBookingValidation, transitionBookingStatus);
+router.post('/:id/reschedule', authMiddleware, rescheduleBookingValidation, rescheduleBooking);
+router.delete('/:id', authMiddleware, deleteBookingValidation, deleteBooking);
+router.post('/:id/restore', authMiddleware, restoreBooking);
 router.post('/:id/allocate-studio-number', authMiddleware, allocateStudioNumber);
-router.post('/:id/consent-form-signature', authMiddleware, saveConsentFormSignature);
+router.post('/:id/release-studio-number', authMiddleware, releaseStudioNumberValidation, releaseStudioNumber);
+router.post('/:id/reassign-studio-number', authMiddleware, reassignStudioNumberValidation, reassignStudioNumber);
+router.post('/:id/consent-form-signature', authMiddleware, consentFormSignatureValidation, saveConsentFormSignature);
+router.get('/:id/consent.pdf', authMiddleware, getConsentFormPdf);
+router.post('/:id/archive-consent-pdf', authMiddleware, archiveConsentFormPdf);
+router.get('/:id/signature', signedUrlOrAuth, getSignature);
+router.get('/:id/signature-url', authMiddleware, getSignatureUrl);
+router.post('/:id/merge', authMiddleware, mergeBookingsValidation, mergeBookings);
+router.post('/:id/payments', authMiddleware, createPaymentValidation, createPayment);
+router.get('/:id/payments', authMiddleware, getPayments);
 
 module.exports = router;
 
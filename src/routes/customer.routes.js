@@ -0,0 +1,41 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCustomerById,
+  updateCustomer,
+} = require('../controllers/customer.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules for updating customers
+const updateCustomerValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Customer name cannot be empty'),
+  body('emergencyPhoneNumber')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (value && value.trim()) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length !== 11) {
+          throw new Error('Emergency phone number must be exactly 11 digits');
+        }
+      }
+      return true;
+    }),
+  body('marketingConsent')
+    .optional()
+    .isBoolean()
+    .withMessage('Marketing consent must be a boolean')
+    .toBoolean(),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string'),
+];
+
+// Routes
+router.get('/:id', authMiddleware, getCustomerById);
+router.put('/:id', authMiddleware, updateCustomerValidation, updateCustomer);
+
+module.exports = router;
@@ -10,6 +10,8 @@ const sessionTimeRoutes = require('./sessionTime.routes');
 const specialRequestTimeRoutes = require('./specialRequestTime.routes');
 const collectionDateRoutes = require('./collectionDate.routes');
 const settingsRoutes = require('./settings.routes');
+const customerRoutes = require('./customer.routes');
+const packageRoutes = require('./package.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -20,6 +22,8 @@ router.use('/session-times', sessionTimeRoutes);
 router.use('/special-request-times', specialRequestTimeRoutes);
 router.use('/collection-dates', collectionDateRoutes);
 router.use('/settings', settingsRoutes);
+router.use('/customers', customerRoutes);
+router.use('/packages', packageRoutes);
 
 console.log('✅ Auth routes mounted at /api/auth');
 console.log('✅ User routes mounted at /api/users');
@@ -29,6 +33,8 @@ console.log('✅ Session time routes mounted at /api/session-times');
 console.log('✅ Special request time routes mounted at /api/special-request-times');
 console.log('✅ Collection date routes mounted at /api/collection-dates');
 console.log('✅ Settings routes mounted at /api/settings');
+console.log('✅ Customer routes mounted at /api/customers');
+console.log('✅ Package routes mounted at /api/packages');
 
 // Example route
 router.get('/', (req, res) => {
@@ -1,16 +1,28 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   createLocation,
   getLocations,
   getLocationById,
   updateLocation,
   deleteLocation,
+  getSlotCapacities,
+  updateSlotCapacities,
+  getLocationAvailability,
+  getStudioNumberHistory,
 } = require('../controllers/location.controller');
+const {
+  getLocationSessionTimes,
+  updateLocationSessionTimes,
+  getLocationSpecialRequestTimes,
+  updateLocationSpecialRequestTimes,
+} = require('../controllers/locationSlotTime.controller');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
+const STUDIO_NUMBER_POLICIES = ['FILL_GAPS', 'CONTINUOUS', 'RESET_PER_DAY'];
+
 // Validation rules for creating/updating location
 const locationValidation = [
   body('name')
@@ -31,6 +43,14 @@ const locationValidation = [
   body('dates.*')
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('Invalid date format. Dates must be in YYYY-MM-DD format'),
+  body('slotCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Slot capacity must be a positive whole number'),
+  body('studioNumberPolicy')
+    .optional()
+    .isIn(STUDIO_NUMBER_POLICIES)
+    .withMessage(`Studio number policy must be one of: ${STUDIO_NUMBER_POLICIES.join(', ')}`),
 ];
 
 const updateLocationValidation = [
@@ -57,6 +77,72 @@ const updateLocationValidation = [
     .optional()
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('Invalid date format. Dates must be in YYYY-MM-DD format'),
+  body('slotCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Slot capacity must be a positive whole number'),
+  body('studioNumberPolicy')
+    .optional()
+    .isIn(STUDIO_NUMBER_POLICIES)
+    .withMessage(`Studio number policy must be one of: ${STUDIO_NUMBER_POLICIES.join(', ')}`),
+];
+
+const slotCapacitiesValidation = [
+  body('defaultCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Default capacity must be a positive whole number'),
+  body('slotCapacities')
+    .isArray()
+    .withMessage('Slot capacities must be an array'),
+  body('slotCapacities.*.time')
+    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Time must be in HH:MM format (24-hour)'),
+  body('slotCapacities.*.capacity')
+    .isInt({ min: 0 })
+    .withMessage('Capacity must be a whole number of 0 or more'),
+];
+
+const availabilityValidation = [
+  query('from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From date must be in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To date must be in YYYY-MM-DD format'),
+];
+
+const studioNumberHistoryValidation = [
+  query('number')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Number must be a positive whole number'),
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+];
+
+const locationTimesQueryValidation = [
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+];
+
+const locationTimesValidation = [
+  body('date')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('times')
+    .isArray()
+    .withMessage('Times must be an array'),
+  body('times.*')
+    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Time must be in HH:MM format (24-hour)'),
 ];
 
 // Routes
@@ -65,6 +151,14 @@ router.get('/', authMiddleware, getLocations);
 router.get('/:id', authMiddleware, getLocationById);
 router.put('/:id', authMiddleware, updateLocationValidation, updateLocation);
 router.delete('/:id', authMiddleware, deleteLocation);
+router.get('/:id/slot-capacities', authMiddleware, getSlotCapacities);
+router.put('/:id/slot-capacities', authMiddleware, slotCapacitiesValidation, updateSlotCapacities);
+router.get('/:id/availability', authMiddleware, availabilityValidation, getLocationAvailability);
+router.get('/:id/studio-numbers', authMiddleware, studioNumberHistoryValidation, getStudioNumberHistory);
+router.get('/:id/session-times', authMiddleware, locationTimesQueryValidation, getLocationSessionTimes);
+router.put('/:id/session-times', authMiddleware, locationTimesValidation, updateLocationSessionTimes);
+router.get('/:id/special-request-times', authMiddleware, locationTimesQueryValidation, getLocationSpecialRequestTimes);
+router.put('/:id/special-request-times', authMiddleware, locationTimesValidation, updateLocationSpecialRequestTimes);
 
 module.exports = router;
 
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createPackage,
+  getPackages,
+  updatePackage,
+  deletePackage,
+} = require('../controllers/package.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules for creating packages
+const createPackageValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Package name is required'),
+  body('price')
+    .notEmpty()
+    .withMessage('Price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive amount'),
+  body('durationMinutes')
+    .notEmpty()
+    .withMessage('Duration is required')
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of minutes'),
+  body('maxPeople')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Max people must be a positive whole number'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+    .toBoolean(),
+];
+
+// Validation rules for updating packages (all fields optional)
+const updatePackageValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Package name cannot be empty'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive amount'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of minutes'),
+  body('maxPeople')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Max people must be a positive whole number'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+    .toBoolean(),
+];
+
+// Routes
+router.post('/', authMiddleware, createPackageValidation, createPackage);
+router.get('/', authMiddleware, getPackages);
+router.put('/:id', authMiddleware, updatePackageValidation, updatePackage);
+router.delete('/:id', authMiddleware, deletePackage);
+
+module.exports = router;
@@ -3,12 +3,14 @@ const authMiddleware = require('../middleware/auth');
 const {
   getConsentFormSettings,
   updateConsentFormSettings,
+  getConsentFormVersions,
 } = require('../controllers/settings.controller');
 
 const router = express.Router();
 
 router.get('/consent-form', authMiddleware, getConsentFormSettings);
 router.put('/consent-form', authMiddleware, updateConsentFormSettings);
+router.get('/consent-form/versions', authMiddleware, getConsentFormVersions);
 
 module.exports = router;
 
@@ -5,20 +5,27 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const prisma = require("./config/database");
 const errorHandler = require("./middleware/errorHandler");
+const { SIGNATURE_BODY_LIMIT } = require("./utils/signatureImage");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Content-Disposition'] })); // ETag for booking versions, Content-Disposition for exports
 app.use(morgan("dev"));
-app.use(express.json({ limit: '10mb' })); // Increased limit for base64 images
+// Signature uploads get a tighter limit than other requests; registered before
+// the global parsers, which skip bodies that have already been parsed
+app.post(
+  '/api/bookings/:id/consent-form-signature',
+  express.json({ limit: SIGNATURE_BODY_LIMIT }),
+  express.urlencoded({ extended: true, limit: SIGNATURE_BODY_LIMIT })
+);
+app.use(express.json({ limit: '10mb' })); // Increased limit for JSON CSV imports
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from storage directory
-const path = require('path');
-app.use('/storage', express.static(path.join(__dirname, '../storage')));
+// Files in storage (signatures, consent PDFs) are not served statically;
+// they are only available through authenticated API endpoints
 
 // Health check route
 app.get("/health", (req, res) => {
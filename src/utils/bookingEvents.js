@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Application events about bookings, for notification channels (SMS, email, ...)
+ * Subscribe once at startup, e.g.
+ *   bookingEvents.on('booking.rescheduled', ({ booking, from, to, reason }) => { ... });
+ *
+ * Events:
+ * - booking.rescheduled: { booking, from, to, reason, actor, rescheduleCount, customerRescheduleCount }
+ */
+const bookingEvents = new EventEmitter();
+
+/**
+ * Emit a booking event after the response path has finished
+ * A failing listener is logged and never affects the request that caused the event
+ * @param {string} name - Event name (e.g. "booking.rescheduled")
+ * @param {object} payload
+ */
+const emitBookingEvent = (name, payload) => {
+  setImmediate(() => {
+    for (const listener of bookingEvents.listeners(name)) {
+      Promise.resolve()
+        .then(() => listener(payload))
+        .catch((error) => console.error(`Booking event listener error (${name}):`, error));
+    }
+  });
+};
+
+module.exports = {
+  bookingEvents,
+  emitBookingEvent,
+};
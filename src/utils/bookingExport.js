@@ -0,0 +1,130 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Columns of the bookings export, in order
+ * value() receives a booking enriched with location, salesPerson and balance
+ * numeric columns hold decimal strings and are written as numbers in Excel
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Booking ID', width: 38, value: (b) => b.id },
+  { header: 'Customer Name', width: 24, value: (b) => b.customerName },
+  { header: 'Phone Number', width: 16, value: (b) => b.phoneNumber },
+  { header: 'Emergency Phone Number', width: 16, value: (b) => b.emergencyPhoneNumber },
+  { header: 'Photoshoot Type', width: 16, value: (b) => b.photoshootType },
+  { header: 'Status', width: 12, value: (b) => b.status },
+  { header: 'Location', width: 24, value: (b) => b.location?.name },
+  { header: 'Location Code', width: 10, value: (b) => b.location?.code },
+  { header: 'Session Date', width: 12, value: (b) => b.sessionDate },
+  { header: 'Session Time', width: 10, value: (b) => b.sessionTime },
+  { header: 'Special Request Date', width: 12, value: (b) => b.specialRequestDate },
+  { header: 'Special Request Time', width: 10, value: (b) => b.specialRequestTime },
+  {
+    header: 'Studio Number',
+    width: 12,
+    value: (b) => {
+      if (b.studioNumber === null) return null;
+      return b.location?.code ? `${b.location.code}-${b.studioNumber}` : `${b.studioNumber}`;
+    },
+  },
+  { header: 'Sales Person', width: 20, value: (b) => b.salesPerson?.name },
+  { header: 'Collection Date', width: 12, value: (b) => b.collectionDate },
+  { header: 'Collection Time', width: 10, value: (b) => b.collectionTime },
+  { header: 'Payment Method', width: 12, value: (b) => b.paymentMethod },
+  { header: 'Price', width: 10, numeric: true, value: (b) => b.balance.price },
+  { header: 'Paid', width: 10, numeric: true, value: (b) => b.balance.paid },
+  { header: 'Balance', width: 10, numeric: true, value: (b) => b.balance.balance },
+  { header: 'Currency', width: 8, value: (b) => b.balance.currency },
+  { header: 'Consent Form Signed', width: 10, value: (b) => (b.consentFormSigned ? 'Yes' : 'No') },
+  { header: 'Notes', width: 40, value: (b) => b.notes },
+  { header: 'Studio Notes', width: 40, value: (b) => b.studioNotes },
+  { header: 'Created At', width: 22, value: (b) => b.createdAt.toISOString() },
+];
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCell = (column, booking) => {
+  const value = column.value(booking);
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return !column.numeric && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const toCsvLine = (cells) => cells
+  .map((cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+  .join(',') + '\r\n';
+
+/**
+ * Create a CSV writer that streams rows to the response
+ * @param {object} res - Express response
+ * @returns {{ writeBooking: Function, end: Function }}
+ */
+const createCsvWriter = (res) => {
+  // BOM so Excel opens the file as UTF-8
+  res.write('\uFEFF' + toCsvLine(EXPORT_COLUMNS.map((column) => column.header)));
+
+  return {
+    writeBooking: async (booking) => {
+      const line = toCsvLine(EXPORT_COLUMNS.map((column) => toCell(column, booking)));
+      if (!res.write(line)) {
+        await once(res, 'drain');
+      }
+    },
+    end: async () => {
+      res.end();
+    },
+  };
+};
+
+/**
+ * Create an Excel writer that streams rows to the response
+ * @param {object} res - Express response
+ * @returns {{ writeBooking: Function, end: Function }}
+ */
+const createXlsxWriter = (res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet('Bookings');
+  worksheet.columns = EXPORT_COLUMNS.map((column) => ({ header: column.header, width: column.width }));
+
+  return {
+    writeBooking: async (booking) => {
+      const cells = EXPORT_COLUMNS.map((column) => {
+        const cell = toCell(column, booking);
+        return column.numeric && cell !== '' ? Number(cell) : cell;
+      });
+      worksheet.addRow(cells).commit();
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+/**
+ * Start a bookings export download
+ * @param {object} res - Express response
+ * @param {string} format - "csv" or "xlsx"
+ * @returns {{ writeBooking: Function, end: Function }}
+ */
+const createExportWriter = (res, format) => {
+  const filename = `bookings-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return createXlsxWriter(res);
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  return createCsvWriter(res);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  createExportWriter,
+};
@@ -0,0 +1,147 @@
+const prisma = require('../config/database');
+
+// Fields that change on every write and carry no meaning in the history
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'version'];
+
+// Fields that hold the customer's personal data, scrubbed from the history when a booking is purged
+const PERSONAL_FIELDS = [
+  'customerName',
+  'phoneNumber',
+  'emergencyPhoneNumber',
+  'notes',
+  'studioNotes',
+  'signaturePath',
+  'signatureHash',
+  'consentSignerName',
+  'consentPdfPath',
+];
+const PURGED_VALUE = '[purged]';
+
+const toComparable = (value) => {
+  if (value === undefined) return null;
+  // Dates and Decimals are stored in their JSON form
+  if (value && typeof value.toJSON === 'function') return value.toJSON();
+  return value;
+};
+
+/**
+ * Build a field-level diff between two booking snapshots
+ * @param {object|null} before - Booking before the change (null for created bookings)
+ * @param {object|null} after - Booking after the change (null for deleted bookings)
+ * @returns {object} - { field: { from, to } } for every changed field
+ */
+const diffBooking = (before, after) => {
+  const changes = {};
+  // Only compare the fields the "after" snapshot selected, so partial
+  // selects (e.g. update with select) don't show up as cleared fields
+  const fields = Object.keys(after || before || {});
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = toComparable(before ? before[field] : null);
+    const to = toComparable(after ? after[field] : null);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Record an event in a booking's audit trail
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} event
+ * @param {string} event.bookingId
+ * @param {string} event.type - BookingEventType value
+ * @param {object} [event.actor] - Authenticated user (req.user)
+ * @param {object|null} [event.before] - Booking before the change
+ * @param {object|null} [event.after] - Booking after the change
+ * @param {string} [event.note]
+ */
+const recordBookingEvent = (client, { bookingId, type, actor, before = null, after = null, note = null }) => {
+  const changes = diffBooking(before, after);
+
+  return client.bookingEvent.create({
+    data: {
+      bookingId,
+      type,
+      actorId: actor?.id || null,
+      actorRole: actor?.role || null,
+      changes: Object.keys(changes).length > 0 ? changes : undefined,
+      note: note || null,
+    },
+  });
+};
+
+/**
+ * Get the audit trail for a booking, oldest first, with actor details
+ * @param {string} bookingId
+ * @returns {Promise<object[]>}
+ */
+const getBookingHistory = async (bookingId) => {
+  const events = await prisma.bookingEvent.findMany({
+    where: { bookingId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const actorIds = [...new Set(events.map((e) => e.actorId).filter(Boolean))];
+  const actors = actorIds.length > 0
+    ? await prisma.user.findMany({
+        where: { id: { in: actorIds } },
+        select: { id: true, name: true, email: true, role: true },
+      })
+    : [];
+  const actorMap = new Map(actors.map((a) => [a.id, a]));
+
+  return events.map((event) => ({
+    ...event,
+    actor: event.actorId ? actorMap.get(event.actorId) || null : null,
+  }));
+};
+
+/**
+ * Remove the customer's personal data from a booking's audit trail
+ * The events are kept; changes to personal fields only show that a value was set or cleared
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} bookingId
+ * @returns {Promise<number>} - Number of events that were scrubbed
+ */
+const anonymizeBookingHistory = async (client, bookingId) => {
+  const events = await client.bookingEvent.findMany({
+    where: { bookingId },
+    select: { id: true, changes: true },
+  });
+
+  let scrubbed = 0;
+  for (const event of events) {
+    const fields = PERSONAL_FIELDS.filter((field) => event.changes && event.changes[field]);
+    if (fields.length === 0) continue;
+
+    const changes = { ...event.changes };
+    for (const field of fields) {
+      const { from, to } = changes[field];
+      changes[field] = {
+        from: from === null ? null : PURGED_VALUE,
+        to: to === null ? null : PURGED_VALUE,
+      };
+    }
+
+    await client.bookingEvent.update({
+      where: { id: event.id },
+      data: { changes },
+    });
+    scrubbed++;
+  }
+
+  return scrubbed;
+};
+
+module.exports = {
+  diffBooking,
+  recordBookingEvent,
+  getBookingHistory,
+  anonymizeBookingHistory,
+};
@@ -0,0 +1,271 @@
+const { Prisma } = require('@prisma/client');
+
+// Stand-ins that sort after every real ISO date / HH:MM time, so empty values come last
+const LAST_DATE = '9999-12-31';
+const LAST_TIME = '99:99';
+
+/**
+ * Sort orders for booking lists
+ * Keys are SQL text expressions; the booking id is always the final tie-breaker
+ * - display: date/time shown on the booking (special request over session)
+ * - collection: collection date/time (Sales tab)
+ * - createdAt: newest first
+ */
+const BOOKING_SORTS = {
+  display: {
+    keys: [
+      Prisma.sql`COALESCE("specialRequestDate", "sessionDate", ${LAST_DATE})`,
+      Prisma.sql`COALESCE("specialRequestTime", "sessionTime", ${LAST_TIME})`,
+    ],
+    direction: 'ASC',
+  },
+  collection: {
+    keys: [
+      Prisma.sql`COALESCE("collectionDate", ${LAST_DATE})`,
+      Prisma.sql`COALESCE("collectionTime", ${LAST_TIME})`,
+    ],
+    direction: 'ASC',
+  },
+  createdAt: {
+    keys: [Prisma.sql`to_char("createdAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS')`],
+    direction: 'DESC',
+  },
+};
+
+/**
+ * Pick the sort order for a booking list request
+ * @param {string} [sortBy] - "createdAt" to sort newest first
+ * @param {boolean} [byCollection] - Sort by collection date/time (Sales tab)
+ * @returns {string} - Key of BOOKING_SORTS
+ */
+const getBookingSort = (sortBy, byCollection) => {
+  if (sortBy === 'createdAt') return 'createdAt';
+  if (byCollection) return 'collection';
+  return 'display';
+};
+
+const unsupportedFilter = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const column = (field) => {
+  if (!/^[A-Za-z]+$/.test(field)) {
+    throw unsupportedFilter(`Unsupported booking filter field: ${field}`);
+  }
+  return Prisma.raw(`"${field}"`);
+};
+
+const fieldCondition = (field, filter) => {
+  const col = column(field);
+
+  if (filter === null) {
+    return Prisma.sql`${col} IS NULL`;
+  }
+  if (typeof filter !== 'object' || filter instanceof Date) {
+    // Enum columns (status, paymentMethod) compare as text
+    return Prisma.sql`${col}::text = ${String(filter)}`;
+  }
+
+  const parts = [];
+  if ('not' in filter) {
+    if (filter.not !== null) {
+      throw unsupportedFilter(`Unsupported booking filter on ${field}`);
+    }
+    parts.push(Prisma.sql`${col} IS NOT NULL`);
+  }
+  if (filter.in) parts.push(Prisma.sql`${col}::text = ANY(${filter.in.map(String)})`);
+  if (filter.notIn) parts.push(Prisma.sql`NOT (${col}::text = ANY(${filter.notIn.map(String)}))`);
+  if (filter.gte !== undefined) parts.push(Prisma.sql`${col} >= ${filter.gte}`);
+  if (filter.gt !== undefined) parts.push(Prisma.sql`${col} > ${filter.gt}`);
+  if (filter.lte !== undefined) parts.push(Prisma.sql`${col} <= ${filter.lte}`);
+  if (filter.lt !== undefined) parts.push(Prisma.sql`${col} < ${filter.lt}`);
+  if (filter.contains !== undefined) {
+    const pattern = `%${filter.contains.replace(/[\\%_]/g, '\\$&')}%`;
+    parts.push(filter.mode === 'insensitive'
+      ? Prisma.sql`${col} ILIKE ${pattern}`
+      : Prisma.sql`${col} LIKE ${pattern}`);
+  }
+
+  if (parts.length === 0) {
+    throw unsupportedFilter(`Unsupported booking filter on ${field}`);
+  }
+  return Prisma.join(parts, ' AND ');
+};
+
+/**
+ * Translate a Prisma booking where clause into SQL for the raw list query
+ * Supported shapes (anything else is rejected, so extend this when adding a
+ * filter to buildBookingFilters):
+ * - { field: value } - equality; enums and dates compare as text
+ * - { field: null } / { field: { not: null } }
+ * - { field: { in: [...] } } / { field: { notIn: [...] } }
+ * - { field: { gt, gte, lt, lte } }
+ * - { field: { contains, mode: 'insensitive' } }
+ * - { AND: [...] } / { OR: [...] } (or a single nested where)
+ * Field names must be plain column names (letters only)
+ * @param {object} where - Prisma where clause
+ * @returns {Prisma.Sql}
+ * @throws {Error} - Error with status 400 for an unsupported filter shape
+ */
+const buildSqlWhere = (where = {}) => {
+  const conditions = Object.entries(where).map(([field, filter]) => {
+    if (field === 'AND' || field === 'OR') {
+      const nested = (Array.isArray(filter) ? filter : [filter]).map((w) => Prisma.sql`(${buildSqlWhere(w)})`);
+      if (nested.length === 0) {
+        return field === 'AND' ? Prisma.sql`TRUE` : Prisma.sql`FALSE`;
+      }
+      return Prisma.sql`(${Prisma.join(nested, field === 'AND' ? ' AND ' : ' OR ')})`;
+    }
+    return Prisma.sql`(${fieldCondition(field, filter)})`;
+  });
+
+  return conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+};
+
+const encodeCursor = (values, id) => Buffer.from(JSON.stringify({ v: values, id })).toString('base64url');
+
+/**
+ * Decode a cursor from a previous page
+ * @param {string} cursor
+ * @param {string} sort - Key of BOOKING_SORTS the cursor must belong to
+ * @returns {{ v: string[], id: string }}
+ * @throws {Error} - Error with status 400 for malformed cursors
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      Array.isArray(decoded.v)
+      && decoded.v.length === BOOKING_SORTS[sort].keys.length
+      && decoded.v.every((value) => typeof value === 'string')
+      && typeof decoded.id === 'string'
+    ) {
+      return decoded;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error
+  }
+
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  throw error;
+};
+
+/**
+ * Find one page of bookings, sorted in the database
+ * Uses keyset pagination when a cursor is given, otherwise offset (skip)
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} options
+ * @param {object} options.where - Prisma where clause
+ * @param {string} options.sort - Key of BOOKING_SORTS
+ * @param {number} options.limit
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.skip] - Offset, ignored when a cursor is given
+ * @returns {Promise<{ bookings: object[], nextCursor: string|null }>}
+ */
+const findBookingPage = async (client, { where, sort, limit, cursor, skip = 0 }) => {
+  const { keys, direction } = BOOKING_SORTS[sort];
+  const order = Prisma.raw(direction);
+  const aliases = keys.map((_, i) => Prisma.raw(`"k${i}"`));
+
+  const conditions = [buildSqlWhere(where)];
+  if (cursor) {
+    const { v, id } = decodeCursor(cursor, sort);
+    const comparator = Prisma.raw(direction === 'ASC' ? '>' : '<');
+    conditions.push(Prisma.sql`(${Prisma.join([...keys, Prisma.sql`"id"`])}) ${comparator} (${Prisma.join([...v, id])})`);
+  }
+
+  const rows = await client.$queryRaw`
+    SELECT "id", ${Prisma.join(keys.map((key, i) => Prisma.sql`${key} AS ${aliases[i]}`))}
+    FROM "bookings"
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY ${Prisma.join([...aliases, Prisma.sql`"id"`].map((key) => Prisma.sql`${key} ${order}`))}
+    LIMIT ${limit + 1}
+    OFFSET ${cursor ? 0 : skip}
+  `;
+
+  // One extra row tells us whether there is a next page
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = rows.length > limit
+    ? encodeCursor(keys.map((_, i) => last[`k${i}`]), last.id)
+    : null;
+
+  const bookings = await client.booking.findMany({
+    where: { id: { in: pageRows.map((row) => row.id) } },
+  });
+  const bookingsMap = new Map(bookings.map((b) => [b.id, b]));
+
+  return {
+    bookings: pageRows.map((row) => bookingsMap.get(row.id)).filter(Boolean),
+    nextCursor,
+  };
+};
+
+/**
+ * Attach location and sales person details to bookings (two queries in total)
+ * @param {object} client - Prisma client or transaction client
+ * @param {object[]} bookings
+ * @returns {Promise<object[]>}
+ */
+const enrichBookings = async (client, bookings) => {
+  const locationIds = [...new Set(bookings.map((b) => b.locationId).filter(Boolean))];
+  const salesPersonIds = [...new Set(bookings.map((b) => b.salesPersonId).filter(Boolean))];
+
+  const [locations, salesPersons] = await Promise.all([
+    locationIds.length > 0
+      ? client.location.findMany({
+        where: { id: { in: locationIds } },
+        select: { id: true, name: true, code: true },
+      })
+      : [],
+    salesPersonIds.length > 0
+      ? client.user.findMany({
+        where: { id: { in: salesPersonIds } },
+        select: { id: true, name: true, email: true },
+      })
+      : [],
+  ]);
+
+  const locationMap = new Map(locations.map((l) => [l.id, l]));
+  const salesPersonMap = new Map(salesPersons.map((u) => [u.id, u]));
+
+  return bookings.map((booking) => ({
+    ...booking,
+    location: locationMap.get(booking.locationId) || null,
+    salesPerson: salesPersonMap.get(booking.salesPersonId) || null,
+  }));
+};
+
+/**
+ * Count bookings per status in a single grouped query
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} where - Prisma where clause
+ * @returns {Promise<{ total: number, counts: object }>} - counts keyed by status
+ */
+const countBookingsByStatus = async (client, where) => {
+  const groups = await client.booking.groupBy({
+    by: ['status'],
+    where,
+    _count: { _all: true },
+  });
+
+  const counts = {};
+  let total = 0;
+  for (const group of groups) {
+    counts[group.status] = group._count._all;
+    total += group._count._all;
+  }
+  return { total, counts };
+};
+
+module.exports = {
+  BOOKING_SORTS,
+  getBookingSort,
+  buildSqlWhere,
+  findBookingPage,
+  enrichBookings,
+  countBookingsByStatus,
+};
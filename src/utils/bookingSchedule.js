@@ -0,0 +1,89 @@
+const { getSlotTimes } = require('./slotTimes');
+
+const SCHEDULE_FIELDS = [
+  'sessionDate',
+  'sessionTime',
+  'specialRequestDate',
+  'specialRequestTime',
+  'collectionDate',
+];
+
+/**
+ * Check a booking's dates and times against its location's schedule
+ * - session / special request dates must be one of the location dates
+ * - session / special request times must be in the lists that apply on that date
+ * - collection date must be one of the location's collection dates
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} booking - Booking data (after the create/update)
+ * @param {string[]} [fields] - Only check these fields (defaults to all schedule fields)
+ * @returns {Promise<{ locationFound: boolean, issues: string[] }>}
+ */
+const validateBookingSchedule = async (client, booking, fields = SCHEDULE_FIELDS) => {
+  const issues = [];
+
+  if (!booking.locationId || fields.length === 0) {
+    return { locationFound: true, issues };
+  }
+
+  const location = await client.location.findUnique({
+    where: { id: booking.locationId },
+    select: { id: true, dates: true },
+  });
+
+  if (!location) {
+    return { locationFound: false, issues };
+  }
+
+  const checkSlot = async (dateField, timeField, type, label) => {
+    const date = booking[dateField];
+    const time = booking[timeField];
+
+    if (date && fields.includes(dateField) && !location.dates.includes(date)) {
+      issues.push(`${label} date ${date} is not one of the location dates`);
+    }
+
+    if (time && (fields.includes(timeField) || fields.includes(dateField))) {
+      const { times } = await getSlotTimes(client, location.id, date || null, type);
+      if (!times.includes(time)) {
+        issues.push(`${label} time ${time} is not available${date ? ` on ${date}` : ''} at this location`);
+      }
+    }
+  };
+
+  await checkSlot('sessionDate', 'sessionTime', 'SESSION', 'Session');
+  await checkSlot('specialRequestDate', 'specialRequestTime', 'SPECIAL_REQUEST', 'Special request');
+
+  if (booking.collectionDate && fields.includes('collectionDate')) {
+    const collectionDate = await client.collectionDate.findUnique({
+      where: {
+        locationId_date: {
+          locationId: location.id,
+          date: booking.collectionDate,
+        },
+      },
+    });
+    if (!collectionDate) {
+      issues.push(`Collection date ${booking.collectionDate} is not one of the location collection dates`);
+    }
+  }
+
+  return { locationFound: true, issues };
+};
+
+/**
+ * Get the schedule fields touched by an update (all of them when the location changes)
+ * @param {object} updateData
+ * @returns {string[]}
+ */
+const getChangedScheduleFields = (updateData) => {
+  if (updateData.locationId !== undefined) {
+    return SCHEDULE_FIELDS;
+  }
+  return SCHEDULE_FIELDS.filter((field) => updateData[field] !== undefined);
+};
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  validateBookingSchedule,
+  getChangedScheduleFields,
+};
@@ -0,0 +1,181 @@
+/**
+ * Booking status state machine
+ *
+ * STATUS_TRANSITIONS maps each current status to the statuses it may move to,
+ * and for every move the user roles that are allowed to make it.
+ * STATUS_REQUIREMENTS lists the fields a booking must have once it enters a
+ * status. Each entry is a list of field groups - at least one group must be
+ * fully filled in (e.g. a regular session OR a special request slot).
+ */
+
+const BOOKING_STATUSES = ['BOOKED', 'CONFIRMED', 'TBC', 'CANCELLED', 'NO_ANSWER', 'WLMK', 'VIDEO_CALL'];
+
+const ALL_ROLES = ['ADMIN', 'SALES_PERSON', 'CUSTOMER_SERVICE', 'STUDIO', 'SALES'];
+const OFFICE_ROLES = ['ADMIN', 'CUSTOMER_SERVICE'];
+const STUDIO_ROLES = ['ADMIN', 'CUSTOMER_SERVICE', 'STUDIO'];
+
+const STATUS_TRANSITIONS = {
+  BOOKED: {
+    CONFIRMED: STUDIO_ROLES,
+    TBC: ALL_ROLES,
+    CANCELLED: ALL_ROLES,
+    NO_ANSWER: ALL_ROLES,
+    WLMK: ALL_ROLES,
+    VIDEO_CALL: ALL_ROLES,
+  },
+  TBC: {
+    BOOKED: ALL_ROLES,
+    CONFIRMED: STUDIO_ROLES,
+    CANCELLED: ALL_ROLES,
+    NO_ANSWER: ALL_ROLES,
+    WLMK: ALL_ROLES,
+    VIDEO_CALL: ALL_ROLES,
+  },
+  NO_ANSWER: {
+    BOOKED: ALL_ROLES,
+    CONFIRMED: STUDIO_ROLES,
+    TBC: ALL_ROLES,
+    CANCELLED: ALL_ROLES,
+    WLMK: ALL_ROLES,
+    VIDEO_CALL: ALL_ROLES,
+  },
+  WLMK: {
+    BOOKED: ALL_ROLES,
+    CONFIRMED: STUDIO_ROLES,
+    TBC: ALL_ROLES,
+    CANCELLED: ALL_ROLES,
+    NO_ANSWER: ALL_ROLES,
+    VIDEO_CALL: ALL_ROLES,
+  },
+  VIDEO_CALL: {
+    BOOKED: ALL_ROLES,
+    CONFIRMED: STUDIO_ROLES,
+    TBC: ALL_ROLES,
+    CANCELLED: ALL_ROLES,
+    NO_ANSWER: ALL_ROLES,
+    WLMK: ALL_ROLES,
+  },
+  CONFIRMED: {
+    BOOKED: STUDIO_ROLES,
+    TBC: STUDIO_ROLES,
+    CANCELLED: STUDIO_ROLES,
+  },
+  // A cancelled booking can only be reinstated by the office
+  CANCELLED: {
+    BOOKED: OFFICE_ROLES,
+    TBC: OFFICE_ROLES,
+  },
+};
+
+const SESSION_SLOT_GROUPS = [
+  ['sessionDate', 'sessionTime'],
+  ['specialRequestDate', 'specialRequestTime'],
+];
+
+const STATUS_REQUIREMENTS = {
+  BOOKED: {
+    groups: SESSION_SLOT_GROUPS,
+    message: 'Session date and time are required for booked status',
+  },
+  CONFIRMED: {
+    groups: SESSION_SLOT_GROUPS,
+    message: 'Session date and time are required for confirmed status',
+  },
+  CANCELLED: {
+    groups: [['cancellationReason']],
+    message: 'Cancellation reason is required for cancelled status',
+  },
+};
+
+const hasValue = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  return true;
+};
+
+/**
+ * Normalize a status string to the enum value (e.g. "no_answer" -> "NO_ANSWER")
+ * @param {string} status
+ * @returns {string|null} - Enum value, or null if it is not a known status
+ */
+const normalizeStatus = (status) => {
+  if (!status || typeof status !== 'string') {
+    return null;
+  }
+  const normalized = status.trim().toUpperCase();
+  return BOOKING_STATUSES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Check whether a booking may move to a target status
+ * @param {object} booking - Current booking record
+ * @param {string} targetStatus - Requested status (enum value)
+ * @param {object} options
+ * @param {string} [options.role] - Role of the acting user (role check is skipped when omitted)
+ * @param {object} [options.changes] - Field values applied together with the status change
+ * @returns {{ allowed: boolean, statusCode?: number, message?: string }}
+ */
+const validateStatusTransition = (booking, targetStatus, { role, changes = {} } = {}) => {
+  const currentStatus = booking.status;
+
+  if (!BOOKING_STATUSES.includes(targetStatus)) {
+    return { allowed: false, statusCode: 400, message: 'Invalid status' };
+  }
+
+  // Staying in the same status is not a transition
+  if (currentStatus === targetStatus) {
+    return { allowed: true };
+  }
+
+  const allowedRoles = (STATUS_TRANSITIONS[currentStatus] || {})[targetStatus];
+  if (!allowedRoles) {
+    return {
+      allowed: false,
+      statusCode: 409,
+      message: `Cannot change booking status from ${currentStatus} to ${targetStatus}`,
+    };
+  }
+
+  if (role && !allowedRoles.includes(role)) {
+    return {
+      allowed: false,
+      statusCode: 403,
+      message: `You do not have permission to change booking status from ${currentStatus} to ${targetStatus}`,
+    };
+  }
+
+  const requirement = STATUS_REQUIREMENTS[targetStatus];
+  if (requirement) {
+    const merged = { ...booking, ...changes };
+    const satisfied = requirement.groups.some((group) =>
+      group.every((field) => hasValue(merged[field]))
+    );
+    if (!satisfied) {
+      return { allowed: false, statusCode: 400, message: requirement.message };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Get the statuses a booking can move to from its current status
+ * @param {string} currentStatus
+ * @param {string} [role] - Only include transitions this role may make
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (currentStatus, role) => {
+  const transitions = STATUS_TRANSITIONS[currentStatus] || {};
+  return Object.keys(transitions).filter(
+    (status) => !role || transitions[status].includes(role)
+  );
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  STATUS_TRANSITIONS,
+  STATUS_REQUIREMENTS,
+  normalizeStatus,
+  validateStatusTransition,
+  getAllowedTransitions,
+};
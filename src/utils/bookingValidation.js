@@ -0,0 +1,132 @@
+const { body } = require('express-validator');
+const { BOOKING_STATUSES } = require('./bookingStatus');
+const { findPackageByName } = require('./packages');
+
+// Shared by the create route and CSV import, which runs the same rules on every row
+// Validation rules for creating bookings (all fields required)
+const createBookingValidation = [
+  body('customerName')
+    .notEmpty()
+    .withMessage('Customer name is required')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Customer name cannot be empty'),
+  body('phoneNumber')
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .custom((value) => {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length !== 11) {
+        throw new Error('Phone number must be exactly 11 digits');
+      }
+      return true;
+    }),
+  body('emergencyPhoneNumber')
+    .optional()
+    .custom((value) => {
+      if (value && value.trim()) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length !== 11) {
+          throw new Error('Emergency phone number must be exactly 11 digits');
+        }
+      }
+      return true;
+    }),
+  body('photoshootType')
+    .notEmpty()
+    .withMessage('Photoshoot type is required')
+    .custom(async (value) => {
+      // Only active packages can be sold
+      if (!(await findPackageByName(value))) {
+        throw new Error('Invalid photoshoot type');
+      }
+      return true;
+    }),
+  body('sessionDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => {
+      // If status is TBC, sessionDate can be null/empty
+      if (req.body.status === 'TBC' && (!value || value === null || value === '')) {
+        return true;
+      }
+      // Otherwise, sessionDate is required
+      if (!value || value === null || value === '') {
+        throw new Error('Session date is required');
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error('Session date must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+  body('sessionTime')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => {
+      // If status is TBC, sessionTime can be null/empty
+      if (req.body.status === 'TBC' && (!value || value === null || value === '')) {
+        return true;
+      }
+      // Otherwise, sessionTime is required
+      if (!value || value === null || value === '') {
+        throw new Error('Session time is required');
+      }
+      if (!/^\d{2}:\d{2}$/.test(value)) {
+        throw new Error('Session time must be in HH:MM format');
+      }
+      return true;
+    }),
+  body('specialRequestDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value) => {
+      // Allow null/empty values
+      if (!value || value === null || value === '') {
+        return true;
+      }
+      // If provided, validate format
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error('Special request date must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+  body('specialRequestTime')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value) => {
+      // Allow null/empty values
+      if (!value || value === null || value === '') {
+        return true;
+      }
+      // If provided, validate format
+      if (!/^\d{2}:\d{2}$/.test(value)) {
+        throw new Error('Special request time must be in HH:MM format');
+      }
+      return true;
+    }),
+  body('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['cash', 'card', 'not-paid'])
+    .withMessage('Invalid payment method'),
+  body('status')
+    .optional()
+    .isIn(BOOKING_STATUSES)
+    .withMessage('Invalid status'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('cancellationReason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Cancellation reason must be a string'),
+  body('locationId').optional().isUUID().withMessage('Invalid location ID'),
+  body('overrideSchedule').optional().isBoolean().withMessage('Override schedule must be a boolean'),
+  body('force').optional().isBoolean().withMessage('Force must be a boolean'),
+  body('price')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive amount'),
+  body('amountPaid')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amount paid must be a positive amount'),
+];
+
+module.exports = {
+  createBookingValidation,
+};
@@ -0,0 +1,94 @@
+const DEFAULT_CONSENT_FORM = {
+  paragraphs: [
+    "I confirm that I am the parent/legal guardian of the child(ren) being photographed and have the authority to consent on their behalf. Portrait Place Studios operates under UK GDPR regulations to ensure the safety, dignity, and privacy of all individuals. All photographs remain the property of Portrait Place Studios until full payment is received. Photographs will only be released to the mother or father of the child(ren). No release will be made to any other individual (relatives, friends, associates) even with written authorization, identification, or video call verification, to protect against data misuse.",
+    "I grant consent for Portrait Place Studios to use photographs (including myself and my child(ren)) for marketing, advertising, social media, website galleries, printed materials, and other promotional activities without further notice. Portrait Place Studios is not responsible for any injury, accident, or loss that may occur during the photoshoot. I remain responsible for supervising my child(ren) at all times. Portrait Place Studios accepts no liability for lost or damaged personal belongings.",
+    "If I do not collect my photographs on the advised date, they will be shredded or permanently destroyed without further notice. As a mobile studio, uncollected photographs cannot be transported back to a base or future locations. I accept full responsibility for collection and waive all claims against Portrait Place Studios for destruction due to non-collection.",
+    "I have read, understood, and agree to all terms of the consent, privacy, collection, and release policy. I accept full responsibility for ensuring only myself or the other parent collects the photographs. I acknowledge that failure to comply may result in refusal to release photographs.",
+  ],
+  permissionText:
+    "I confirmed and allow that the studio may use my photos if required.",
+};
+
+// AppSetting the wording was kept in before consent forms were versioned
+const LEGACY_SETTING_KEY = 'consent_form';
+
+/**
+ * Get the current (latest published) consent form version
+ * When no version exists yet, version 1 is created from the legacy
+ * consent_form setting, or from the default wording
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<object>} - ConsentFormVersion
+ */
+const getCurrentConsentFormVersion = async (client) => {
+  const current = await client.consentFormVersion.findFirst({
+    orderBy: { version: 'desc' },
+  });
+  if (current) return current;
+
+  const legacy = await client.appSetting.findUnique({
+    where: { key: LEGACY_SETTING_KEY },
+  });
+  const form = legacy?.value || DEFAULT_CONSENT_FORM;
+
+  try {
+    return await client.consentFormVersion.create({
+      data: {
+        version: 1,
+        paragraphs: form.paragraphs,
+        permissionText: form.permissionText,
+      },
+    });
+  } catch (error) {
+    // Another request created version 1 at the same time
+    if (error.code === 'P2002') {
+      return client.consentFormVersion.findUnique({ where: { version: 1 } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Publish a new consent form version
+ * Versions are immutable: changing the wording always creates a new one
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} form
+ * @param {string[]} form.paragraphs
+ * @param {string} form.permissionText
+ * @param {object} actor - Authenticated user (req.user)
+ * @returns {Promise<{ version: object, published: boolean }>} - published is false when the wording is unchanged
+ * @throws {Error} - Error with status 409 when another version was published at the same time
+ */
+const publishConsentFormVersion = async (client, { paragraphs, permissionText }, actor) => {
+  const current = await getCurrentConsentFormVersion(client);
+
+  if (
+    current.permissionText === permissionText
+    && JSON.stringify(current.paragraphs) === JSON.stringify(paragraphs)
+  ) {
+    return { version: current, published: false };
+  }
+
+  try {
+    const version = await client.consentFormVersion.create({
+      data: {
+        version: current.version + 1,
+        paragraphs,
+        permissionText,
+        publishedById: actor.id,
+      },
+    });
+    return { version, published: true };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      const conflict = new Error('Another consent form version was published at the same time. Reload and try again.');
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getCurrentConsentFormVersion,
+  publishConsentFormVersion,
+};
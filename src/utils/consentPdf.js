@@ -0,0 +1,111 @@
+const PDFDocument = require('pdfkit');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+// PDFKit can only embed PNG and JPEG images
+const canEmbedImage = (buffer) => !!buffer
+  && (buffer.subarray(0, 4).equals(PNG_SIGNATURE) || buffer.subarray(0, 3).equals(JPEG_SIGNATURE));
+
+const formatAnswer = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  return 'Not recorded';
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'Not recorded');
+
+/**
+ * Render a signed consent form as a self-contained PDF
+ * @param {object} options
+ * @param {object} options.booking - Booking with consent fields
+ * @param {object|null} options.location - { name, code }
+ * @param {object} options.consentFormVersion - ConsentFormVersion the customer signed
+ * @param {boolean} [options.versionRecorded] - false when the booking was signed before versions were recorded
+ * @param {Buffer|null} options.signature - Signature image
+ * @param {boolean|null} [options.signatureVerified] - Whether the image matches booking.signatureHash (null when there is no hash or no image to check)
+ * @returns {Promise<Buffer>}
+ */
+const renderConsentPdf = ({ booking, location, consentFormVersion, versionRecorded = true, signature, signatureVerified = null }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Consent form - ${booking.customerName}`,
+      Subject: `Booking ${booking.id}`,
+    },
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const studioNumber = booking.studioNumber === null
+    ? 'Not assigned'
+    : location?.code ? `${location.code}-${booking.studioNumber}` : `${booking.studioNumber}`;
+  const sessionDate = booking.specialRequestDate || booking.sessionDate;
+  const sessionTime = booking.specialRequestTime || booking.sessionTime;
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Consent Form');
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Version ${consentFormVersion.version}, published ${formatDateTime(consentFormVersion.publishedAt)}`);
+  if (!versionRecorded) {
+    doc.text('This booking was signed before consent form versions were recorded; the wording shown is the current version.');
+  }
+  doc.fillColor('#000000').moveDown();
+
+  const details = [
+    ['Customer', booking.customerName],
+    ['Phone number', booking.phoneNumber],
+    ['Location', location ? `${location.name}${location.code ? ` (${location.code})` : ''}` : 'Not set'],
+    ['Session', sessionDate ? `${sessionDate}${sessionTime ? ` ${sessionTime}` : ''}` : 'To be confirmed'],
+    ['Studio number', studioNumber],
+  ];
+  for (const [label, value] of details) {
+    doc.fontSize(10).font('Helvetica-Bold').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value);
+  }
+  doc.moveDown();
+
+  doc.fontSize(10).font('Helvetica');
+  for (const paragraph of consentFormVersion.paragraphs) {
+    doc.text(paragraph, { align: 'justify' }).moveDown(0.5);
+  }
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica-Bold').text(consentFormVersion.permissionText);
+  doc.font('Helvetica').text(`Answer: ${formatAnswer(booking.marketingPermission)}`);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').text('Signature');
+  if (canEmbedImage(signature)) {
+    doc.image(signature, { fit: [220, 90] });
+    doc.moveDown(0.5);
+  } else {
+    doc.font('Helvetica').text('Signature image is not available.');
+  }
+  doc.font('Helvetica')
+    .text(`Signed by: ${booking.consentSignerName || booking.customerName}`)
+    .text(`Signed at: ${formatDateTime(booking.consentSignedAt)}`);
+  if (booking.signatureHash) {
+    doc.fontSize(8).text(`Signature SHA-256: ${booking.signatureHash}`);
+    if (signatureVerified === true) {
+      doc.text('The signature image matches this hash.');
+    } else if (signatureVerified === false) {
+      doc.text('WARNING: the stored signature image does not match this hash.');
+    } else {
+      doc.text('The signature image was not found, so it could not be checked against this hash.');
+    }
+  }
+  doc.moveDown();
+
+  doc.fontSize(8).fillColor('#555555')
+    .text(`Booking ${booking.id}. Generated ${formatDateTime(new Date())}.`);
+
+  doc.end();
+});
+
+module.exports = {
+  renderConsentPdf,
+};
@@ -0,0 +1,66 @@
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells, "" escapes,
+ * commas and line breaks inside quotes, CRLF or LF line endings)
+ * @param {string} text
+ * @returns {string[][]} - Rows without trailing blank lines
+ * @throws {Error} - Error with status 400 for an unterminated quoted cell
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark Excel adds to UTF-8 files
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error('CSV has an unterminated quoted value');
+    error.status = 400;
+    throw error;
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines at the end of the file
+  while (rows.length > 0 && rows[rows.length - 1].every((value) => value.trim() === '')) {
+    rows.pop();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv,
+};
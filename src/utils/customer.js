@@ -0,0 +1,40 @@
+/**
+ * Normalize a phone number for matching (digits only)
+ * @param {string} phoneNumber
+ * @returns {string}
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return '';
+  }
+  return phoneNumber.replace(/\D/g, '');
+};
+
+/**
+ * Find the customer with this phone number, creating one if none exists
+ * An existing customer's details are left untouched
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} details
+ * @param {string} details.name
+ * @param {string} details.phoneNumber
+ * @param {string|null} [details.emergencyPhoneNumber]
+ * @returns {Promise<object>} - Customer record
+ */
+const findOrCreateCustomer = (client, { name, phoneNumber, emergencyPhoneNumber = null }) => {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+
+  return client.customer.upsert({
+    where: { phoneNumber: normalizedPhone },
+    create: {
+      name: name.trim(),
+      phoneNumber: normalizedPhone,
+      emergencyPhoneNumber: emergencyPhoneNumber ? normalizePhoneNumber(emergencyPhoneNumber) : null,
+    },
+    update: {},
+  });
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  findOrCreateCustomer,
+};
@@ -0,0 +1,60 @@
+const { normalizePhoneNumber } = require('./customer');
+const { INACTIVE_STATUSES } = require('./slotCapacity');
+
+/**
+ * Find active bookings that look like the same customer booking again:
+ * same normalized phone number at the same location, or on the same date(s)
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} booking - Booking data being created
+ * @param {string} [excludeBookingId]
+ * @returns {Promise<object[]>} - Possible duplicate bookings
+ */
+const findPossibleDuplicates = async (client, booking, excludeBookingId) => {
+  const phoneNumber = normalizePhoneNumber(booking.phoneNumber);
+  if (!phoneNumber) {
+    return [];
+  }
+
+  const dates = [...new Set([booking.sessionDate, booking.specialRequestDate].filter(Boolean))];
+
+  const matchers = [];
+  if (booking.locationId) {
+    matchers.push({ locationId: booking.locationId });
+  }
+  if (dates.length > 0) {
+    matchers.push({ sessionDate: { in: dates } });
+    matchers.push({ specialRequestDate: { in: dates } });
+  }
+
+  if (matchers.length === 0) {
+    return [];
+  }
+
+  return client.booking.findMany({
+    where: {
+      phoneNumber,
+      status: { notIn: INACTIVE_STATUSES },
+      deletedAt: null,
+      OR: matchers,
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: {
+      id: true,
+      customerName: true,
+      phoneNumber: true,
+      sessionDate: true,
+      sessionTime: true,
+      specialRequestDate: true,
+      specialRequestTime: true,
+      status: true,
+      locationId: true,
+      salesPersonId: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+};
+
+module.exports = {
+  findPossibleDuplicates,
+};
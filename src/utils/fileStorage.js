@@ -1,80 +1,75 @@
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./storage');
+
+// Magic bytes of the image formats signatures may be stored in
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/webp', extension: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+};
 
 /**
- * Ensure storage directory exists
+ * Detect the image type of a file from its first bytes
+ * @param {Buffer} buffer
+ * @returns {{ mimeType: string, extension: string }|null} - null when not a PNG, JPEG or WebP image
  */
-const ensureStorageDir = (dirPath) => {
-  try {
-    if (!fs.existsSync(dirPath)) {
-      fs.mkdirSync(dirPath, { recursive: true });
-      console.log('Created storage directory:', dirPath);
-    }
-  } catch (error) {
-    console.error('Error creating directory:', dirPath, error);
-    throw new Error(`Failed to create directory ${dirPath}: ${error.message}`);
-  }
+const detectImageType = (buffer) => {
+  const type = IMAGE_TYPES.find((t) => t.matches(buffer));
+  return type ? { mimeType: type.mimeType, extension: type.extension } : null;
 };
 
 /**
- * Save base64 image to file
- * @param {string} base64Data - Base64 encoded image data (data:image/png;base64,...)
- * @param {string} filename - Filename to save (without extension, will use .png)
- * @returns {string} - Relative path to saved file
+ * Save a file under signatures/ in the configured storage backend
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Filename to save (without extension)
+ * @param {string} extension - File extension (e.g. "png", "pdf")
+ * @returns {Promise<string>} - Storage key (relative path) of the saved file
  */
-const saveBase64Image = (base64Data, filename) => {
-  try {
-    // Create storage directory if it doesn't exist
-    const storageDir = path.join(__dirname, '../../storage/signatures');
-    
-    try {
-      ensureStorageDir(storageDir);
-    } catch (dirError) {
-      console.error('Failed to create storage directory:', storageDir, dirError);
-      throw new Error(`Cannot create storage directory: ${dirError.message}`);
-    }
+const saveBuffer = async (buffer, filename, extension) => {
+  // Timestamp and random suffix keep filenames unique
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
+  const key = `signatures/${filename}_${timestamp}_${randomSuffix}.${extension}`;
 
-    // Remove data URL prefix if present
-    const base64String = base64Data.includes(',') 
-      ? base64Data.split(',')[1] 
-      : base64Data;
+  try {
+    await getStorage().save(key, buffer, { contentType: CONTENT_TYPES[extension] });
+  } catch (writeError) {
+    console.error('Failed to write file:', key, writeError);
+    throw new Error(`Cannot write file: ${writeError.message}`);
+  }
 
-    // Create filename with timestamp and UUID-like suffix to ensure uniqueness
-    const timestamp = Date.now();
-    const randomSuffix = Math.random().toString(36).substring(2, 8);
-    const fileExtension = 'png';
-    const finalFilename = `${filename}_${timestamp}_${randomSuffix}.${fileExtension}`;
-    const filePath = path.join(storageDir, finalFilename);
+  return key;
+};
 
-    // Convert base64 to buffer and save
-    try {
-      const buffer = Buffer.from(base64String, 'base64');
-      fs.writeFileSync(filePath, buffer);
-    } catch (writeError) {
-      console.error('Failed to write file:', filePath, writeError);
-      throw new Error(`Cannot write file: ${writeError.message}`);
-    }
+/**
+ * Read a file from storage
+ * @param {string} filePath - Storage key (relative path)
+ * @returns {Promise<Buffer|null>} - File contents, or null if the file does not exist
+ */
+const readFile = async (filePath) => {
+  const stream = await getStorage().createReadStream(filePath);
+  if (!stream) return null;
 
-    // Return relative path from storage directory
-    return `signatures/${finalFilename}`;
-  } catch (error) {
-    console.error('Error saving base64 image:', error);
-    throw error;
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
 };
 
 /**
  * Delete file from storage
- * @param {string} filePath - Relative path from storage directory
+ * @param {string} filePath - Storage key (relative path)
  */
-const deleteFile = (filePath) => {
+const deleteFile = async (filePath) => {
   try {
-    const storageDir = path.join(__dirname, '../../storage');
-    const fullPath = path.join(storageDir, filePath);
-    
-    if (fs.existsSync(fullPath)) {
-      fs.unlinkSync(fullPath);
-    }
+    await getStorage().delete(filePath);
   } catch (error) {
     console.error('Error deleting file:', error);
     // Don't throw error, just log it
@@ -82,8 +77,8 @@ const deleteFile = (filePath) => {
 };
 
 module.exports = {
-  saveBase64Image,
+  saveBuffer,
+  readFile,
   deleteFile,
-  ensureStorageDir,
+  detectImageType,
 };
-
@@ -0,0 +1,26 @@
+const prisma = require('../config/database');
+
+/**
+ * Find a package by its name (case-insensitive)
+ * @param {string} name - Photoshoot type / package name
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive] - Also match packages that are no longer sold
+ * @param {object} [options.client] - Prisma client or transaction client
+ * @returns {Promise<object|null>}
+ */
+const findPackageByName = (name, { includeInactive = false, client = prisma } = {}) => {
+  if (!name || typeof name !== 'string') {
+    return Promise.resolve(null);
+  }
+
+  return client.package.findFirst({
+    where: {
+      name: { equals: name.trim(), mode: 'insensitive' },
+      ...(!includeInactive && { active: true }),
+    },
+  });
+};
+
+module.exports = {
+  findPackageByName,
+};
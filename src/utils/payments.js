@@ -0,0 +1,90 @@
+const { Prisma } = require('@prisma/client');
+
+const DEFAULT_CURRENCY = 'GBP';
+
+/**
+ * Sum the payments taken for each booking
+ * Only payments in DEFAULT_CURRENCY count towards the balance
+ * @param {object} client - Prisma client or transaction client
+ * @param {string[]} bookingIds
+ * @returns {Promise<Map<string, Prisma.Decimal>>} - bookingId -> total paid
+ */
+const getPaidAmounts = async (client, bookingIds) => {
+  if (bookingIds.length === 0) {
+    return new Map();
+  }
+
+  const totals = await client.payment.groupBy({
+    by: ['bookingId'],
+    where: { bookingId: { in: bookingIds }, currency: DEFAULT_CURRENCY },
+    _sum: { amount: true },
+  });
+
+  return new Map(totals.map((t) => [t.bookingId, t._sum.amount || new Prisma.Decimal(0)]));
+};
+
+/**
+ * Build the balance of a booking
+ * @param {object} booking - Booking record (uses price)
+ * @param {Prisma.Decimal} [paid]
+ * @returns {{ price: string|null, paid: string, balance: string|null, currency: string }}
+ */
+const buildBalance = (booking, paid) => {
+  const paidAmount = paid || new Prisma.Decimal(0);
+  const price = booking.price !== null && booking.price !== undefined
+    ? new Prisma.Decimal(booking.price)
+    : null;
+
+  return {
+    price: price ? price.toFixed(2) : null,
+    paid: paidAmount.toFixed(2),
+    balance: price ? price.minus(paidAmount).toFixed(2) : null,
+    currency: DEFAULT_CURRENCY,
+  };
+};
+
+/**
+ * Attach a computed balance to each booking
+ * @param {object} client - Prisma client or transaction client
+ * @param {object[]} bookings
+ * @returns {Promise<object[]>}
+ */
+const withBalances = async (client, bookings) => {
+  const paidAmounts = await getPaidAmounts(client, bookings.map((b) => b.id));
+  return bookings.map((booking) => ({
+    ...booking,
+    balance: buildBalance(booking, paidAmounts.get(booking.id)),
+  }));
+};
+
+/**
+ * Recompute a booking's paymentMethod from its ledger
+ * NOT_PAID when there are no payments, otherwise the method of the latest payment
+ * @param {object} tx - Prisma transaction client
+ * @param {string} bookingId
+ * @returns {Promise<string>} - The derived payment method
+ */
+const syncPaymentMethod = async (tx, bookingId) => {
+  const latest = await tx.payment.findFirst({
+    where: { bookingId },
+    orderBy: { takenAt: 'desc' },
+    select: { method: true },
+  });
+
+  const paymentMethod = latest ? latest.method : 'NOT_PAID';
+
+  await tx.booking.update({
+    where: { id: bookingId },
+    data: { paymentMethod, version: { increment: 1 } },
+  });
+
+  return paymentMethod;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  getPaidAmounts,
+  buildBalance,
+  withBalances,
+  syncPaymentMethod,
+};
@@ -6,10 +6,11 @@ const successResponse = (res, data, message = 'Success', statusCode = 200) => {
   });
 };
 
-const errorResponse = (res, message = 'Error', statusCode = 400) => {
+const errorResponse = (res, message = 'Error', statusCode = 400, data) => {
   return res.status(statusCode).json({
     success: false,
-    message
+    message,
+    ...(data !== undefined && { data })
   });
 };
 
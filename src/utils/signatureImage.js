@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { detectImageType } = require('./fileStorage');
+
+// Signature pads produce small images; anything larger is not a signature
+const MAX_SIGNATURE_BYTES = 1024 * 1024;
+const MAX_SIGNATURE_DIMENSION = 4000;
+// Request body limit for signature uploads: the image as base64 (4/3 of its size) plus room for the other fields
+const SIGNATURE_BODY_LIMIT = Math.ceil(MAX_SIGNATURE_BYTES * 4 / 3) + 64 * 1024;
+// Pixels darker than this (0-255 greyscale) count as ink
+const INK_THRESHOLD = 200;
+// Fewer ink pixels than this is treated as an empty signature pad
+const MIN_INK_PIXELS = 50;
+// Whitespace kept around the signature after trimming
+const TRIM_PADDING = 10;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Hash a stored signature file, to compare with the hash recorded on the booking
+ * @param {Buffer} buffer
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashSignature = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Validate and normalize a signature image
+ * Accepts PNG, JPEG or WebP (checked by magic bytes), rejects oversized and
+ * blank images, trims the surrounding whitespace and converts to PNG on a
+ * white background
+ * @param {string} base64Data - Base64 image, optionally as a data URL (data:image/png;base64,...)
+ * @returns {Promise<{ buffer: Buffer, hash: string, width: number, height: number }>} - hash is the SHA-256 of the stored PNG
+ * @throws {Error} - Error with status 400 when the image is invalid
+ */
+const processSignatureImage = async (base64Data) => {
+  // Remove data URL prefix if present
+  const base64String = (base64Data.includes(',') ? base64Data.split(',')[1] : base64Data).replace(/\s/g, '');
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64String)) {
+    throw invalid('Signature must be a base64 encoded image');
+  }
+
+  const input = Buffer.from(base64String, 'base64');
+  if (input.length > MAX_SIGNATURE_BYTES) {
+    throw invalid(`Signature image must be smaller than ${MAX_SIGNATURE_BYTES / 1024} KB`);
+  }
+  if (!detectImageType(input)) {
+    throw invalid('Signature must be a PNG, JPEG or WebP image');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw invalid('Signature image could not be read');
+  }
+  if (metadata.width > MAX_SIGNATURE_DIMENSION || metadata.height > MAX_SIGNATURE_DIMENSION) {
+    throw invalid(`Signature image must be at most ${MAX_SIGNATURE_DIMENSION}x${MAX_SIGNATURE_DIMENSION} pixels`);
+  }
+
+  // Signature pads usually draw on a transparent canvas
+  const flattened = await sharp(input)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { data, info } = flattened;
+  let inkPixels = 0;
+  let top = info.height;
+  let bottom = -1;
+  let left = info.width;
+  let right = -1;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < INK_THRESHOLD) {
+        inkPixels++;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+
+  if (inkPixels < MIN_INK_PIXELS) {
+    throw invalid('Signature is empty');
+  }
+
+  // Crop to the ink, keeping a little padding
+  const cropLeft = Math.max(0, left - TRIM_PADDING);
+  const cropTop = Math.max(0, top - TRIM_PADDING);
+  const width = Math.min(info.width, right + TRIM_PADDING + 1) - cropLeft;
+  const height = Math.min(info.height, bottom + TRIM_PADDING + 1) - cropTop;
+
+  const buffer = await sharp(input)
+    .flatten({ background: '#ffffff' })
+    .extract({ left: cropLeft, top: cropTop, width, height })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer,
+    hash: hashSignature(buffer),
+    width,
+    height,
+  };
+};
+
+module.exports = {
+  SIGNATURE_BODY_LIMIT,
+  processSignatureImage,
+  hashSignature,
+};
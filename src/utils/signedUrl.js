@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Signed URLs are meant for <img> tags, so they only need to live for a few minutes
+const DEFAULT_TTL_SECONDS = 300;
+
+const getSecret = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const sign = (path, expires) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${path}:${expires}`)
+  .digest('base64url');
+
+/**
+ * Create a short-lived signed URL for a path that normally requires a login
+ * @param {string} path - Request path (e.g. "/api/bookings/<id>/signature")
+ * @param {number} [ttlSeconds] - Defaults to SIGNED_URL_TTL_SECONDS or 5 minutes
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+const createSignedUrl = (path, ttlSeconds = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || DEFAULT_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    url: `${path}?expires=${expires}&signature=${sign(path, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Check the expires and signature query parameters of a signed URL
+ * @param {string} path - Request path without the query string
+ * @param {string} expires - Expiry as a Unix timestamp (seconds)
+ * @param {string} signature
+ * @returns {boolean}
+ */
+const verifySignedUrl = (path, expires, signature) => {
+  if (typeof expires !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires)) {
+    return false;
+  }
+  if (parseInt(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(path, expires));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  createSignedUrl,
+  verifySignedUrl,
+};
@@ -0,0 +1,221 @@
+const { getSlotTimesForDates } = require('./slotTimes');
+
+// Cancelled bookings free up their slot
+const INACTIVE_STATUSES = ['CANCELLED'];
+
+const DEFAULT_SLOT_CAPACITY = 1;
+const NEARBY_SLOT_LIMIT = 5;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the slot a booking occupies (special request takes priority over the regular session)
+ * @param {object} booking - Booking record or booking data
+ * @returns {{ locationId: string, date: string, time: string }|null} - null if the booking holds no slot
+ */
+const getBookingSlot = (booking) => {
+  if (!booking || !booking.locationId || INACTIVE_STATUSES.includes(booking.status)) {
+    return null;
+  }
+
+  if (booking.specialRequestDate && booking.specialRequestTime) {
+    return {
+      locationId: booking.locationId,
+      date: booking.specialRequestDate,
+      time: booking.specialRequestTime,
+    };
+  }
+
+  if (booking.sessionDate && booking.sessionTime) {
+    return {
+      locationId: booking.locationId,
+      date: booking.sessionDate,
+      time: booking.sessionTime,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a change moves a booking into a slot it did not hold before
+ * @param {object|null} before - Booking before the change (null for new bookings)
+ * @param {object} after - Booking data after the change
+ * @returns {boolean}
+ */
+const isSlotChange = (before, after) => {
+  const previous = getBookingSlot(before);
+  const next = getBookingSlot(after);
+  if (!next) return false;
+  if (!previous) return true;
+  return previous.locationId !== next.locationId || previous.date !== next.date || previous.time !== next.time;
+};
+
+/**
+ * Get the capacity of every slot time at a location
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} locationId
+ * @returns {Promise<{ defaultCapacity: number, capacities: Map<string, number> }>}
+ */
+const getLocationCapacities = async (client, locationId) => {
+  const [location, overrides] = await Promise.all([
+    client.location.findUnique({
+      where: { id: locationId },
+      select: { slotCapacity: true },
+    }),
+    client.slotCapacity.findMany({
+      where: { locationId },
+    }),
+  ]);
+
+  return {
+    defaultCapacity: location?.slotCapacity ?? DEFAULT_SLOT_CAPACITY,
+    capacities: new Map(overrides.map((o) => [o.time, o.capacity])),
+  };
+};
+
+/**
+ * Count active bookings per slot for a location over one or more dates
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} locationId
+ * @param {string[]} dates - YYYY-MM-DD
+ * @param {string} [excludeBookingId] - Booking to leave out (the one being updated)
+ * @returns {Promise<Map<string, Map<string, number>>>} - date -> time -> booked count
+ */
+const countBookingsBySlot = async (client, locationId, dates, excludeBookingId) => {
+  const bookings = await client.booking.findMany({
+    where: {
+      locationId,
+      status: { notIn: INACTIVE_STATUSES },
+      deletedAt: null,
+      OR: [{ sessionDate: { in: dates } }, { specialRequestDate: { in: dates } }],
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: {
+      locationId: true,
+      status: true,
+      sessionDate: true,
+      sessionTime: true,
+      specialRequestDate: true,
+      specialRequestTime: true,
+    },
+  });
+
+  const counts = new Map(dates.map((date) => [date, new Map()]));
+  for (const booking of bookings) {
+    const slot = getBookingSlot(booking);
+    if (slot && counts.has(slot.date)) {
+      const dateCounts = counts.get(slot.date);
+      dateCounts.set(slot.time, (dateCounts.get(slot.time) || 0) + 1);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Count active bookings per slot time for a location on a date
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} locationId
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [excludeBookingId] - Booking to leave out (the one being updated)
+ * @returns {Promise<Map<string, number>>} - time -> booked count
+ */
+const countBookingsByTime = async (client, locationId, date, excludeBookingId) => {
+  const counts = await countBookingsBySlot(client, locationId, [date], excludeBookingId);
+  return counts.get(date);
+};
+
+/**
+ * Find free slots closest to a requested slot at the same location
+ * Looks at the requested date first, then the location's other scheduled dates
+ * @param {object} client - Prisma client or transaction client
+ * @param {{ locationId: string, date: string, time: string }} slot
+ * @param {string} [excludeBookingId]
+ * @returns {Promise<Array<{ date: string, time: string, remaining: number }>>}
+ */
+const findNearbyFreeSlots = async (client, slot, excludeBookingId) => {
+  const [location, { defaultCapacity, capacities }] = await Promise.all([
+    client.location.findUnique({
+      where: { id: slot.locationId },
+      select: { dates: true },
+    }),
+    getLocationCapacities(client, slot.locationId),
+  ]);
+
+  const requestedMinutes = timeToMinutes(slot.time);
+  const otherDates = (location?.dates || [])
+    .filter((date) => date !== slot.date)
+    .sort((a, b) => Math.abs(Date.parse(a) - Date.parse(slot.date)) - Math.abs(Date.parse(b) - Date.parse(slot.date)));
+
+  const candidateDates = [slot.date, ...otherDates];
+  const [counts, sessionTimes] = await Promise.all([
+    countBookingsBySlot(client, slot.locationId, candidateDates, excludeBookingId),
+    getSlotTimesForDates(client, slot.locationId, candidateDates, 'SESSION'),
+  ]);
+
+  const freeSlots = [];
+  for (const date of candidateDates) {
+    const dateCounts = counts.get(date);
+
+    const freeOnDate = sessionTimes.get(date).times
+      .map((time) => {
+        const capacity = capacities.get(time) ?? defaultCapacity;
+        return { date, time, remaining: capacity - (dateCounts.get(time) || 0) };
+      })
+      .filter((s) => s.remaining > 0 && !(s.date === slot.date && s.time === slot.time))
+      .sort((a, b) => Math.abs(timeToMinutes(a.time) - requestedMinutes) - Math.abs(timeToMinutes(b.time) - requestedMinutes));
+
+    freeSlots.push(...freeOnDate.slice(0, NEARBY_SLOT_LIMIT - freeSlots.length));
+    if (freeSlots.length >= NEARBY_SLOT_LIMIT) break;
+  }
+
+  return freeSlots;
+};
+
+/**
+ * Make sure the slot a booking is about to occupy still has room.
+ * Must run inside a transaction: it takes a transaction-level advisory lock on
+ * the slot so concurrent bookings for the same slot are checked one at a time.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} booking - Booking data after the create/update
+ * @param {string} [excludeBookingId] - Booking being updated
+ * @throws {Error} - Error with status 409 and freeSlots when the slot is full
+ */
+const assertSlotAvailable = async (tx, booking, excludeBookingId) => {
+  const slot = getBookingSlot(booking);
+  if (!slot) return;
+
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`slot:${slot.locationId}:${slot.date}:${slot.time}`}))`;
+
+  const [{ defaultCapacity, capacities }, counts] = await Promise.all([
+    getLocationCapacities(tx, slot.locationId),
+    countBookingsByTime(tx, slot.locationId, slot.date, excludeBookingId),
+  ]);
+
+  const capacity = capacities.get(slot.time) ?? defaultCapacity;
+  const booked = counts.get(slot.time) || 0;
+
+  if (booked >= capacity) {
+    const error = new Error(`The ${slot.time} slot on ${slot.date} is fully booked at this location`);
+    error.status = 409;
+    error.code = 'SLOT_FULL';
+    error.slot = { ...slot, capacity, booked };
+    error.freeSlots = await findNearbyFreeSlots(tx, slot, excludeBookingId);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_SLOT_CAPACITY,
+  INACTIVE_STATUSES,
+  getBookingSlot,
+  isSlotChange,
+  getLocationCapacities,
+  countBookingsBySlot,
+  countBookingsByTime,
+  findNearbyFreeSlots,
+  assertSlotAvailable,
+};
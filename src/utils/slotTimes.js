@@ -0,0 +1,82 @@
+/**
+ * Resolve which session / special request times apply to a location on a date.
+ * Priority: date override -> location template -> global default list.
+ */
+
+const SLOT_TIME_TYPES = ['SESSION', 'SPECIAL_REQUEST'];
+
+const getGlobalTimes = async (client, type) => {
+  const model = type === 'SPECIAL_REQUEST' ? client.specialRequestTime : client.sessionTime;
+  const rows = await model.findMany({
+    orderBy: { time: 'asc' },
+  });
+  return rows.map((row) => row.time);
+};
+
+/**
+ * Get the times that apply to a location on each of the given dates
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} locationId
+ * @param {string[]} dates - YYYY-MM-DD
+ * @param {string} type - SESSION or SPECIAL_REQUEST
+ * @returns {Promise<Map<string, { times: string[], source: string }>>} - date -> times and where they came from (date, location or global)
+ */
+const getSlotTimesForDates = async (client, locationId, dates, type) => {
+  const [locationRows, globalTimes] = await Promise.all([
+    client.locationSlotTime.findMany({
+      where: {
+        locationId,
+        type,
+        OR: [{ date: null }, { date: { in: dates } }],
+      },
+      orderBy: { time: 'asc' },
+    }),
+    getGlobalTimes(client, type),
+  ]);
+
+  const templateTimes = locationRows.filter((row) => row.date === null).map((row) => row.time);
+
+  const result = new Map();
+  for (const date of dates) {
+    const overrideTimes = locationRows.filter((row) => row.date === date).map((row) => row.time);
+
+    if (overrideTimes.length > 0) {
+      result.set(date, { times: overrideTimes, source: 'date' });
+    } else if (templateTimes.length > 0) {
+      result.set(date, { times: templateTimes, source: 'location' });
+    } else {
+      result.set(date, { times: globalTimes, source: 'global' });
+    }
+  }
+  return result;
+};
+
+/**
+ * Get the times that apply to a location on a single date
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} locationId
+ * @param {string|null} date - YYYY-MM-DD, or null for the location template
+ * @param {string} type - SESSION or SPECIAL_REQUEST
+ * @returns {Promise<{ times: string[], source: string }>}
+ */
+const getSlotTimes = async (client, locationId, date, type) => {
+  if (!date) {
+    const templateRows = await client.locationSlotTime.findMany({
+      where: { locationId, type, date: null },
+      orderBy: { time: 'asc' },
+    });
+    if (templateRows.length > 0) {
+      return { times: templateRows.map((row) => row.time), source: 'location' };
+    }
+    return { times: await getGlobalTimes(client, type), source: 'global' };
+  }
+
+  const result = await getSlotTimesForDates(client, locationId, [date], type);
+  return result.get(date);
+};
+
+module.exports = {
+  SLOT_TIME_TYPES,
+  getSlotTimes,
+  getSlotTimesForDates,
+};
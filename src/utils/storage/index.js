@@ -0,0 +1,61 @@
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+/**
+ * Storage drivers for signatures and documents
+ * Every driver implements:
+ * - save(key, buffer, { contentType }): Promise<void>
+ * - createReadStream(key): Promise<Readable|null> - null when the file does not exist
+ * - delete(key): Promise<void>
+ * - exists(key): Promise<boolean>
+ * - list(prefix): Promise<string[]>
+ * Keys are relative paths such as "signatures/booking_<id>_<timestamp>.png"
+ */
+const STORAGE_DRIVERS = ['local', 's3'];
+
+/**
+ * Create a storage driver configured from environment variables
+ * @param {string} [name] - "local" or "s3", defaults to STORAGE_DRIVER (or "local")
+ * @returns {object} - Storage driver
+ */
+const createStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (name === 'local') {
+    return createLocalDriver({
+      root: process.env.STORAGE_DIR || path.join(__dirname, '../../../storage'),
+    });
+  }
+
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || '',
+    });
+  }
+
+  throw new Error(`Unknown storage driver "${name}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+};
+
+let storage = null;
+
+/**
+ * Get the storage driver the application uses (STORAGE_DRIVER)
+ * @returns {object} - Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageDriver();
+  }
+  return storage;
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorageDriver,
+  getStorage,
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps files on the local disk
+ * @param {object} options
+ * @param {string} options.root - Directory files are stored in
+ * @returns {object} - Storage driver
+ */
+const createLocalDriver = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(rootDir, key);
+    // Never read or write outside the storage directory
+    if (!fullPath.startsWith(rootDir + path.sep)) {
+      const error = new Error(`Invalid storage key: ${key}`);
+      error.status = 400;
+      throw error;
+    }
+    return fullPath;
+  };
+
+  const exists = async (key) => {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch (error) {
+      if (error.status) throw error;
+      return false;
+    }
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      // Skip placeholders like .gitkeep
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await walk(fullPath));
+      } else if (entry.isFile()) {
+        files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+    },
+
+    createReadStream: async (key) => {
+      if (!await exists(key)) return null;
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    exists,
+
+    list: async (prefix = '') => {
+      const keys = await walk(rootDir);
+      return keys.filter((key) => key.startsWith(prefix)).sort();
+    },
+  };
+};
+
+module.exports = {
+  createLocalDriver,
+};
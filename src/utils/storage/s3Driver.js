@@ -0,0 +1,95 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NoSuchKey'
+  || error.name === 'NotFound'
+  || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, Cloudflare R2, ...)
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {string} [options.accessKeyId] - Falls back to the AWS credential chain when omitted
+ * @param {string} [options.secretAccessKey]
+ * @param {boolean} [options.forcePathStyle] - Needed by most S3-compatible services
+ * @param {string} [options.prefix] - Key prefix, to share a bucket (e.g. "portrait-studio/")
+ * @returns {object} - Storage driver
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    save: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    createReadStream: async (key) => {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        return Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    list: async (listPrefix = '') => {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix + listPrefix,
+          ContinuationToken,
+        }));
+        for (const object of page.Contents || []) {
+          keys.push(object.Key.slice(prefix.length));
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+  };
+};
+
+module.exports = {
+  createS3Driver,
+};
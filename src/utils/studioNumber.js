@@ -0,0 +1,405 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { validateStatusTransition } = require('./bookingStatus');
+const { recordBookingEvent } = require('./bookingHistory');
+const { isSlotChange, assertSlotAvailable } = require('./slotCapacity');
+
+// Two assistants pressing "allocate" at once make one transaction fail with a
+// serialization error (P2034) or hit the (locationId, scope, studioNumber)
+// unique constraint (P2002); the loser simply tries again with fresh data
+const MAX_ATTEMPTS = 10;
+const RETRYABLE_ERROR_CODES = ['P2002', 'P2034'];
+
+// Scope used by locations whose numbers run across all session dates
+const LOCATION_SCOPE = 'ALL';
+
+const BOOKING_SELECT = {
+  id: true,
+  customerName: true,
+  phoneNumber: true,
+  sessionDate: true,
+  sessionTime: true,
+  status: true,
+  studioNumber: true,
+  studioNumberScope: true,
+  locationId: true,
+  version: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const allocationError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Get the numbering scope for a booking at a location
+ * @param {object} location - Location with studioNumberPolicy
+ * @param {object} booking
+ * @returns {string} - "ALL", or the booking's session date for RESET_PER_DAY locations
+ */
+const getStudioNumberScope = (location, booking) => {
+  if (location.studioNumberPolicy !== 'RESET_PER_DAY') {
+    return LOCATION_SCOPE;
+  }
+
+  const date = booking.specialRequestDate || booking.sessionDate;
+  if (!date) {
+    throw allocationError('Booking must have a session date before allocating a per-day studio number', 400);
+  }
+  return date;
+};
+
+/**
+ * Find the next studio number according to the location's policy
+ * - FILL_GAPS: lowest number no booking currently holds (starting from 1)
+ * - CONTINUOUS / RESET_PER_DAY: one above the highest number ever issued in the scope
+ * @param {object} tx - Prisma transaction client
+ * @param {object} location - Location with id and studioNumberPolicy
+ * @param {string} scope
+ * @param {number[]} [excludeNumbers] - Numbers that must not be handed out
+ * @returns {Promise<number>}
+ */
+const findNextStudioNumber = async (tx, location, scope, excludeNumbers = []) => {
+  const bookingsWithStudioNumbers = await tx.booking.findMany({
+    where: {
+      locationId: location.id,
+      studioNumber: { not: null },
+      studioNumberScope: scope,
+    },
+    select: {
+      studioNumber: true,
+    },
+  });
+  const heldNumbers = bookingsWithStudioNumbers.map((b) => b.studioNumber);
+
+  if (location.studioNumberPolicy === 'FILL_GAPS') {
+    const taken = new Set([...heldNumbers, ...excludeNumbers]);
+    let nextStudioNumber = 1;
+    while (taken.has(nextStudioNumber)) {
+      nextStudioNumber++;
+    }
+    return nextStudioNumber;
+  }
+
+  const { _max } = await tx.studioNumberAssignment.aggregate({
+    where: { locationId: location.id, scope },
+    _max: { studioNumber: true },
+  });
+
+  return Math.max(_max.studioNumber || 0, ...heldNumbers, ...excludeNumbers) + 1;
+};
+
+/**
+ * Give a booking a studio number and open an assignment record
+ * With confirm set the booking is also moved to CONFIRMED (first allocation);
+ * otherwise it keeps its status (reassignment)
+ */
+const assignStudioNumber = async (tx, { booking, location, scope, studioNumber, actor, confirm = false }) => {
+  const updated = await tx.booking.update({
+    where: { id: booking.id },
+    data: {
+      studioNumber,
+      studioNumberScope: scope,
+      ...(confirm && { status: 'CONFIRMED' }),
+      version: { increment: 1 },
+    },
+    select: BOOKING_SELECT,
+  });
+
+  await tx.studioNumberAssignment.create({
+    data: {
+      bookingId: booking.id,
+      locationId: location.id,
+      scope,
+      studioNumber,
+      assignedById: actor?.id || null,
+    },
+  });
+
+  await recordBookingEvent(tx, {
+    bookingId: booking.id,
+    type: 'STUDIO_NUMBER_ALLOCATED',
+    actor,
+    before: booking,
+    after: updated,
+  });
+
+  return updated;
+};
+
+/**
+ * Close the open assignment record of a booking's studio number
+ * Numbers allocated before history was kept get a closed record created for them
+ * @param {object} tx - Prisma transaction client
+ * @param {object} booking - Booking that holds a studio number
+ * @param {object} actor
+ * @param {string} reason
+ */
+const closeStudioNumberAssignment = async (tx, booking, actor, reason) => {
+  const releasedAt = new Date();
+  const releasedById = actor?.id || null;
+
+  const { count } = await tx.studioNumberAssignment.updateMany({
+    where: { bookingId: booking.id, releasedAt: null },
+    data: { releasedAt, releasedById, releaseReason: reason },
+  });
+
+  if (count === 0 && booking.studioNumber !== null && booking.locationId) {
+    await tx.studioNumberAssignment.create({
+      data: {
+        bookingId: booking.id,
+        locationId: booking.locationId,
+        scope: booking.studioNumberScope,
+        studioNumber: booking.studioNumber,
+        releasedAt,
+        releasedById,
+        releaseReason: reason,
+      },
+    });
+  }
+};
+
+/**
+ * Take a booking's studio number away, keeping its assignment history
+ * @returns {Promise<object>} - Updated booking
+ */
+const releaseStudioNumber = async (tx, booking, actor, reason) => {
+  await closeStudioNumberAssignment(tx, booking, actor, reason);
+
+  const updated = await tx.booking.update({
+    where: { id: booking.id },
+    data: {
+      studioNumber: null,
+      studioNumberScope: LOCATION_SCOPE,
+      version: { increment: 1 },
+    },
+    select: BOOKING_SELECT,
+  });
+
+  await recordBookingEvent(tx, {
+    bookingId: booking.id,
+    type: 'STUDIO_NUMBER_RELEASED',
+    actor,
+    before: booking,
+    after: updated,
+    note: reason,
+  });
+
+  return updated;
+};
+
+/**
+ * Keep a per-day studio number in step with the booking's session date
+ * Runs in the caller's transaction after the booking was saved: when the date of a
+ * booking at a RESET_PER_DAY location moved, its number is released and the next
+ * number of the new day is allocated (the status is kept). A booking left without
+ * a date just loses its number.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} before - Booking before the change
+ * @param {object} booking - Booking as saved
+ * @param {object} actor
+ * @returns {Promise<object|null>} - Updated booking fields, or null if nothing changed
+ */
+const syncStudioNumberScope = async (tx, before, booking, actor) => {
+  const date = booking.specialRequestDate || booking.sessionDate;
+  if (booking.studioNumber === null || !booking.locationId || date === (before.specialRequestDate || before.sessionDate)) {
+    return null;
+  }
+
+  const location = await tx.location.findUnique({
+    where: { id: booking.locationId },
+    select: { id: true, studioNumberPolicy: true },
+  });
+
+  if (!location || location.studioNumberPolicy !== 'RESET_PER_DAY' || date === booking.studioNumberScope) {
+    return null;
+  }
+
+  if (!date) {
+    return releaseStudioNumber(tx, booking, actor, 'Session date removed');
+  }
+
+  const released = await releaseStudioNumber(tx, booking, actor, `Session date moved to ${date}`);
+  const studioNumber = await findNextStudioNumber(tx, location, date);
+  return assignStudioNumber(tx, {
+    booking: { ...booking, ...released },
+    location,
+    scope: date,
+    studioNumber,
+    actor,
+  });
+};
+
+/**
+ * Run a studio number change in a serializable transaction, retrying on conflicts
+ * @param {Function} callback - Receives the transaction client
+ */
+const withAllocationRetry = async (callback) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(callback, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable,
+        maxWait: 10000, // Allow queueing for a connection while others allocate
+        timeout: 10000,
+      });
+    } catch (error) {
+      if (!RETRYABLE_ERROR_CODES.includes(error.code) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      // Small random backoff so the retries don't collide again
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * 50 * attempt));
+    }
+  }
+};
+
+const findBookingWithLocation = async (tx, bookingId) => {
+  const booking = await tx.booking.findUnique({
+    where: { id: bookingId, deletedAt: null },
+  });
+
+  if (!booking) {
+    throw allocationError('Booking not found', 404);
+  }
+
+  if (!booking.locationId) {
+    throw allocationError('Booking must have a location assigned before allocating studio number', 400);
+  }
+
+  const location = await tx.location.findUnique({
+    where: { id: booking.locationId },
+    select: {
+      id: true,
+      name: true,
+      code: true,
+      studioNumberPolicy: true,
+    },
+  });
+
+  if (!location) {
+    throw allocationError('Location not found for this booking', 404);
+  }
+
+  return { booking, location };
+};
+
+/**
+ * Allocate the next studio number to a booking and confirm it
+ * Runs in a serializable transaction and retries on conflicts
+ * @param {string} bookingId
+ * @param {object} actor - Authenticated user (req.user)
+ * @returns {Promise<{ booking: object, location: object, studioNumber: number }>}
+ * @throws {Error} - Error with status for bookings that cannot get a number
+ */
+const allocateStudioNumberForBooking = (bookingId, actor) => withAllocationRetry(async (tx) => {
+  const { booking, location } = await findBookingWithLocation(tx, bookingId);
+
+  // Require consent form before allocating studio number
+  if (!booking.consentFormSigned) {
+    throw allocationError('Consent form must be signed before allocating studio number', 400);
+  }
+
+  if (booking.studioNumber !== null) {
+    throw allocationError('Studio number already allocated to this booking', 400);
+  }
+
+  // Allocating a studio number confirms the booking, so the move must be legal for this user
+  const transition = validateStatusTransition(booking, 'CONFIRMED', { role: actor?.role });
+  if (!transition.allowed) {
+    throw allocationError(transition.message, transition.statusCode);
+  }
+
+  const confirmed = { ...booking, status: 'CONFIRMED' };
+  if (isSlotChange(booking, confirmed)) {
+    await assertSlotAvailable(tx, confirmed, booking.id);
+  }
+
+  const scope = getStudioNumberScope(location, booking);
+  const studioNumber = await findNextStudioNumber(tx, location, scope);
+  const updated = await assignStudioNumber(tx, { booking, location, scope, studioNumber, actor, confirm: true });
+
+  return { booking: updated, location, studioNumber };
+});
+
+/**
+ * Release a booking's studio number
+ * The booking keeps its status; under CONTINUOUS and RESET_PER_DAY the number is never reissued
+ * @param {string} bookingId
+ * @param {object} actor
+ * @param {string} reason
+ * @returns {Promise<{ booking: object, location: object, releasedNumber: number }>}
+ */
+const releaseStudioNumberForBooking = (bookingId, actor, reason) => withAllocationRetry(async (tx) => {
+  const { booking, location } = await findBookingWithLocation(tx, bookingId);
+
+  if (booking.studioNumber === null) {
+    throw allocationError('Booking does not have a studio number', 400);
+  }
+
+  const updated = await releaseStudioNumber(tx, booking, actor, reason);
+
+  return { booking: updated, location, releasedNumber: booking.studioNumber };
+});
+
+/**
+ * Replace a booking's studio number with a new one
+ * @param {string} bookingId
+ * @param {object} actor
+ * @param {string} reason
+ * @param {number} [requestedNumber] - Specific number to give the booking (must not be held by another booking)
+ * @returns {Promise<{ booking: object, location: object, studioNumber: number, releasedNumber: number }>}
+ */
+const reassignStudioNumberForBooking = (bookingId, actor, reason, requestedNumber) => withAllocationRetry(async (tx) => {
+  const { booking, location } = await findBookingWithLocation(tx, bookingId);
+
+  if (booking.studioNumber === null) {
+    throw allocationError('Booking does not have a studio number', 400);
+  }
+
+  const scope = getStudioNumberScope(location, booking);
+  let studioNumber = requestedNumber;
+
+  if (studioNumber !== undefined && studioNumber !== null) {
+    if (studioNumber === booking.studioNumber) {
+      throw allocationError('Booking already holds this studio number', 400);
+    }
+
+    const holder = await tx.booking.findFirst({
+      where: {
+        locationId: location.id,
+        studioNumber,
+        studioNumberScope: scope,
+      },
+      select: { id: true },
+    });
+
+    if (holder) {
+      throw allocationError(`Studio number ${studioNumber} is held by another booking`, 409);
+    }
+  } else {
+    studioNumber = await findNextStudioNumber(tx, location, scope, [booking.studioNumber]);
+  }
+
+  const released = await releaseStudioNumber(tx, booking, actor, reason);
+  const updated = await assignStudioNumber(tx, {
+    booking: { ...booking, ...released },
+    location,
+    scope,
+    studioNumber,
+    actor,
+  });
+
+  return { booking: updated, location, studioNumber, releasedNumber: booking.studioNumber };
+});
+
+module.exports = {
+  LOCATION_SCOPE,
+  findNextStudioNumber,
+  closeStudioNumberAssignment,
+  syncStudioNumberScope,
+  allocateStudioNumberForBooking,
+  releaseStudioNumberForBooking,
+  reassignStudioNumberForBooking,
+};